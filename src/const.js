@@ -34,4 +34,12 @@ export const EXCEPTION_STORAGE_LIMIT_REACHED = "STORAGE_LIMIT_REACHED";
 export const EXCEPTION_STORAGE_NOT_FOUND = "STORAGE_NOT_FOUND";
 export const EXCEPTION_TOKEN_INVALID = "TOKEN_INVALID";
 export const EXCEPTION_TOO_MANY_REQUESTS = "TOO_MANY_REQUESTS";
-export const EXCEPTION_UNKNOWN = "UNKNOWN";
\ No newline at end of file
+export const EXCEPTION_UNKNOWN = "UNKNOWN";
+
+// Network failure reason (MYJDNetworkException)
+export const NETWORK_TIMEOUT = "TIMEOUT";
+export const NETWORK_DNS = "DNS";
+export const NETWORK_REFUSED = "REFUSED";
+export const NETWORK_RESET = "RESET";
+export const NETWORK_CERTIFICATE = "CERTIFICATE";
+export const NETWORK_UNKNOWN = "UNKNOWN";
\ No newline at end of file
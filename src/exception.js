@@ -3,26 +3,103 @@
  */
 import * as C from './const.js';
 
+/**
+ * Base class of all the exceptions of this library.
+ * Request related exceptions carry structured details about the failed request. Secret parameters
+ * (passwords, tokens...) are redacted from `params` before the exception is built.
+ */
 export class MYJDException extends Error {
-    constructor(message) {
-        super(message);
+    /**
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Structured details about the failed request.
+     * @param {number | null} [details.httpStatus] - The HTTP status of the response, if any.
+     * @param {string | null} [details.path] - The API endpoint path.
+     * @param {number | null} [details.rid] - The request ID.
+     * @param {string | null} [details.deviceId] - The ID of the target device, for device actions.
+     * @param {any[] | null} [details.params] - The (redacted) request parameters.
+     * @param {Error} [details.cause] - The underlying error.
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
         this.name = this.constructor.name;
+        this.httpStatus = details.httpStatus ?? null;
+        this.path = details.path ?? null;
+        this.rid = details.rid ?? null;
+        this.deviceId = details.deviceId ?? null;
+        this.params = details.params ?? null;
     }
 }
 
 export class MYJDConnectionException extends MYJDException {}
+
+/**
+ * Network level failure (timeout, DNS failure, refused or reset connection...), see `reason`.
+ */
+export class MYJDNetworkException extends MYJDConnectionException {
+    /**
+     * @param {string} reason - One of the `NETWORK_*` constants.
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Structured details about the failed request, see {@link MYJDException}.
+     */
+    constructor(reason, message, details = {}) {
+        super(message, details);
+        this.reason = reason;
+    }
+}
 export class MYJDDeviceNotFoundException extends MYJDException {}
 export class MYJDDecodeException extends MYJDException {}
+export class MYJDRequestIdMismatchException extends MYJDException {}
 
+/**
+ * Query option the endpoint does not support, raised before anything is sent, see `field`.
+ */
+export class MYJDInvalidQueryException extends MYJDException {
+    /**
+     * @param {string} field - The rejected field or option.
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Structured details, see {@link MYJDException}.
+     */
+    constructor(field, message, details = {}) {
+        super(message, details);
+        this.field = field;
+    }
+}
+
+/**
+ * Link crawler job still running when the wait timed out, see `jobId`. The job keeps running on the device.
+ */
+export class MYJDCrawlTimeoutException extends MYJDException {
+    /**
+     * @param {number} jobId - The ID of the crawler job.
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Structured details, see {@link MYJDException}.
+     */
+    constructor(jobId, message, details = {}) {
+        super(message, details);
+        this.jobId = jobId;
+    }
+}
+
+/**
+ * Error returned by the MyJDownloader API or by a device, see `source` and `type`.
+ */
 export class MYJDApiException extends MYJDException {
-    constructor(exceptionSource, ...args) {
-        super(...args);
-        this.source = exceptionSource.toUpperCase();
+    /**
+     * @param {string} exceptionSource - The error source (`MYJD` or `DEVICE`).
+     * @param {string} message - The error message.
+     * @param {Object} [details] - Structured details about the failed request, see {@link MYJDException}.
+     * @param {string} [details.type] - The error type (e.g., `TOKEN_INVALID`).
+     */
+    constructor(exceptionSource, message, details = {}) {
+        super(message, details);
+        this.source = String(exceptionSource || C.EXCEPTION_UNKNOWN).toUpperCase();
+        this.type = details.type ?? null;
     }
 
-    static getException(exceptionSource, exceptionType = C.EXCEPTION_UNKNOWN, ...args) {
-        const ExceptionClass = EXCEPTION_CLASSES[exceptionType.toUpperCase()] || MYJDUnknownException;
-        return new ExceptionClass(exceptionSource, ...args);
+    static getException(exceptionSource, exceptionType = C.EXCEPTION_UNKNOWN, message = "", details = {}) {
+        const type = String(exceptionType || C.EXCEPTION_UNKNOWN).toUpperCase();
+        const ExceptionClass = EXCEPTION_CLASSES[type] || MYJDUnknownException;
+        return new ExceptionClass(exceptionSource, message, { ...details, type: type });
     }
 }
 
@@ -1,14 +1,370 @@
 /**
  * Main logic for MyJDownloader API in Modern JS using crypto.subtle
  */
+import * as C from './const.js';
 import {
     MYJDException,
     MYJDApiException,
+    MYJDAuthFailedException,
     MYJDConnectionException,
     MYJDDecodeException,
-    MYJDDeviceNotFoundException
+    MYJDDeviceNotFoundException,
+    MYJDInvalidQueryException,
+    MYJDCrawlTimeoutException,
+    MYJDInternalServerErrorException,
+    MYJDMaintenanceException,
+    MYJDNetworkException,
+    MYJDOverloadException,
+    MYJDRequestIdMismatchException,
+    MYJDSessionException,
+    MYJDTokenInvalidException,
+    MYJDTooManyRequestsException
 } from './exception.js';
 
+export * from './exception.js';
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description MyJDownloader cloud endpoints that can be called without an established session.
+ */
+const SESSIONLESS_PATHS = [
+    "/my/connect",
+    "/captcha/getCaptcha",
+    "/my/requestregistrationemail",
+    "/my/finishregistration",
+    "/my/requestpasswordresetemail",
+    "/my/finishpasswordreset"
+];
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default retry policy of {@link MyJDApi}, see {@link MyJDApi#setRetryPolicy}.
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: 0.5,
+    retryOn: [
+        MYJDTooManyRequestsException,
+        MYJDOverloadException,
+        MYJDMaintenanceException,
+        MYJDInternalServerErrorException
+    ],
+    onRetry: null
+};
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Last path segments of the device actions that only read state. Only these actions (and the cloud
+ * requests of `IDEMPOTENT_CLOUD_PATHS`) follow the retry policy by default: retrying other actions could run them twice.
+ */
+const IDEMPOTENT_ACTION_PATTERN = /^(get|query|is|list)([A-Z]|$)|^(help|ping|packageCount|getsubscription|listpublisher)$/;
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description MyJDownloader cloud endpoints that can be sent again without side effects. A repeated login only
+ * opens another session; the other cloud calls (session renewal, registration, password changes...) are not retried
+ * by default, see `IDEMPOTENT_ACTION_PATTERN`.
+ */
+const IDEMPOTENT_CLOUD_PATHS = [
+    "/my/connect",
+    "/my/listdevices",
+    "/captcha/getCaptcha",
+    "/device/ping"
+];
+
+/**
+ * @typedef {Object} ActionOptions
+ * @description Per-call options accepted by {@link JDDevice#action} and by every controller method.
+ * @property {AbortSignal} [signal] - Cancels the call. The signal reason is thrown and no fallback route is tried.
+ * @property {number} [timeout] - Timeout of each HTTP request in milliseconds, overriding the client timeout.
+ * @property {number|Object|boolean} [retry] - Overrides the retry policy (see {@link MyJDApi#setRetryPolicy}):
+ * a maximum number of attempts, an object with policy fields, true for the policy as is, or false to disable retries.
+ * Actions changing state (adding, removing, moving...) are not retried unless this is set, since an action failing
+ * after the device ran it would run again. When it is set, mind that the session renewal of {@link JDDevice#action}
+ * may replay the whole call once more, sending the action up to twice `maxAttempts` times.
+ * @property {('auto'|'direct-only'|'cloud-only')} [route='auto'] - Whether to use the direct connection, the cloud relay,
+ * or the direct connection with the cloud as a fallback.
+ */
+
+/**
+ * @constant
+ * @type {string}
+ * @description Placeholder replacing redacted values.
+ */
+const REDACTED = "***";
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Query parameters of cloud calls that must never be exposed (logs, exceptions).
+ */
+const SECRET_QUERY_PARAMS = ["sessiontoken", "regaintoken", "encryptedLoginSecret", "signature"];
+
+/**
+ * @constant
+ * @type {Object<string, number[]>}
+ * @description Positional parameters of device actions that must never be exposed, by action path.
+ */
+const SECRET_ACTION_PARAMS = {
+    "/accountsV2/addAccount": [2],
+    "/accountsV2/addBasicAuth": [3],
+    "/accountsV2/setUserNameAndPassword": [2]
+};
+
+/**
+ * @constant
+ * @type {RegExp}
+ * @description Object keys whose string values must never be exposed (e.g., `password`, `extractPassword`).
+ */
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token/i;
+
+/**
+ * @typedef {Object} ConnectionPolicy
+ * @description Tunes how devices are reached through their direct connection addresses.
+ * All durations are in milliseconds.
+ * @property {number} [probeTimeout=2000] - Timeout of the `/device/ping` probes sent in parallel to the addresses.
+ * @property {number} [addressCooldown=60000] - How long an address that did not answer is skipped.
+ * @property {number} [cooldown=60000] - How long the direct connection is skipped after all the addresses failed.
+ * @property {number} [backoffFactor=2] - Multiplier applied to the cooldown after each consecutive failure.
+ * @property {number} [maxCooldown=600000] - Upper bound of the direct connection cooldown.
+ */
+
+/**
+ * @constant
+ * @type {ConnectionPolicy}
+ * @description Default connection policy of {@link MyJDApi}, see {@link MyJDApi#setConnectionPolicy}.
+ */
+const DEFAULT_CONNECTION_POLICY = {
+    probeTimeout: 2000,
+    addressCooldown: 60000,
+    cooldown: 60000,
+    backoffFactor: 2,
+    maxCooldown: 600000
+};
+
+/**
+ * @typedef {Object} TlsPolicy
+ * @description Transport security of the direct connections and of the remote API (see {@link MyJDApi#directConnect}).
+ * The MyJDownloader cloud is always reached over HTTPS.
+ * @property {boolean} [https=false] - Whether to connect over HTTPS.
+ * @property {boolean} [allowDowngrade=true] - Whether a direct connection address that cannot be reached over HTTPS
+ * may be used over plain HTTP. When false, plain HTTP is never used (this implies `https`).
+ * @property {(string | string[] | null)} [fingerprint=null] - SHA-256 fingerprint(s) of the trusted certificates
+ * (e.g., self-signed), hex with or without colons. Node.js only.
+ * @property {(string | string[] | null)} [ca=null] - PEM encoded certificate authorities trusted instead of the
+ * system ones. Node.js only.
+ */
+
+/**
+ * @constant
+ * @type {TlsPolicy}
+ * @description Default TLS policy of {@link MyJDApi}, see {@link MyJDApi#setTlsPolicy}.
+ */
+const DEFAULT_TLS_POLICY = {
+    https: false,
+    allowDowngrade: true,
+    fingerprint: null,
+    ca: null
+};
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Error codes of the certificate validation failures.
+ */
+const CERTIFICATE_ERROR_CODES = [
+    "ERR_CERT_FINGERPRINT_MISMATCH",
+    "ERR_TLS_CERT_ALTNAME_INVALID",
+    "DEPTH_ZERO_SELF_SIGNED_CERT",
+    "SELF_SIGNED_CERT_IN_CHAIN",
+    "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+    "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+    "CERT_HAS_EXPIRED",
+    "CERT_UNTRUSTED"
+];
+
+/**
+ * @typedef {Object} VariantRule
+ * @description Selects one variant of a link among those offered by its hoster (see {@link Linkgrabber#getVariants}).
+ * The matching variants are ranked by resolution, then by container preference, then by bitrate. Omitted
+ * properties do not constrain the choice.
+ * @property {boolean} [audioOnly] - True to only keep audio-only variants, false to only keep video variants.
+ * @property {number} [maxResolution] - Highest accepted video height (e.g., 1080).
+ * @property {number} [minResolution] - Lowest accepted video height.
+ * @property {string[]} [containers] - Accepted containers (e.g., 'MP4', 'WEBM', 'M4A'), most preferred first.
+ * @property {RegExp} [match] - Pattern the variant name must match.
+ */
+
+/**
+ * @typedef {Object} VariantPolicy
+ * @description Variant choices applied to crawled links, see {@link Linkgrabber#applyVariantPolicy}.
+ * @property {VariantRule} [select] - Rule of the variant the link is switched to.
+ * @property {VariantRule[]} [copies=[]] - Rules of the variants added as extra links next to it (e.g., also keep
+ * the audio).
+ */
+
+/**
+ * @constant
+ * @type {string[]}
+ * @description Containers recognized in variant names, audio ones listed in `AUDIO_CONTAINERS`.
+ */
+const VARIANT_CONTAINERS = ["MP4", "WEBM", "MKV", "FLV", "3GP", "M4A", "AAC", "MP3", "OGG", "OPUS"];
+
+/**
+ * @constant
+ * @type {string[]}
+ */
+const AUDIO_CONTAINERS = ["M4A", "AAC", "MP3", "OGG", "OPUS"];
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default query of {@link Linkgrabber#addLinks}.
+ */
+const ADD_LINKS_QUERY = {
+    "autostart": false,
+    "links": null,
+    "packageName": null,
+    "extractPassword": null,
+    "priority": "DEFAULT",
+    "downloadPassword": null,
+    "destinationFolder": null,
+    "overwritePackagizerRules": false
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default query of {@link Linkgrabber#queryLinks}.
+ */
+const CRAWLED_LINK_QUERY = {
+    "bytesTotal": true,
+    "comment": true,
+    "status": true,
+    "enabled": true,
+    "maxResults": -1,
+    "startAt": 0,
+    "hosts": true,
+    "url": true,
+    "availability": true,
+    "variantIcon": true,
+    "variantName": true,
+    "variantID": true,
+    "variants": true,
+    "priority": true
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default query of {@link Linkgrabber#queryPackages}.
+ */
+const CRAWLED_PACKAGE_QUERY = {
+    "availableOfflineCount": true,
+    "availableOnlineCount": true,
+    "availableTempUnknownCount": true,
+    "availableUnknownCount": true,
+    "bytesTotal": true,
+    "childCount": true,
+    "comment": true,
+    "enabled": true,
+    "hosts": true,
+    "maxResults": -1,
+    "packageUUIDs": [],
+    "priority": true,
+    "saveTo": true,
+    "startAt": 0,
+    "status": true
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default query of {@link Downloads#queryLinks}.
+ */
+const DOWNLOAD_LINK_QUERY = {
+    "addedDate": true,
+    "bytesLoaded": true,
+    "bytesTotal": true,
+    "comment": true,
+    "enabled": true,
+    "eta": true,
+    "extractionStatus": true,
+    "finished": true,
+    "finishedDate": true,
+    "host": true,
+    "jobUUIDs": [],
+    "maxResults": -1,
+    "packageUUIDs": [],
+    "password": true,
+    "priority": true,
+    "running": true,
+    "skipped": true,
+    "speed": true,
+    "startAt": 0,
+    "status": true,
+    "url": true
+};
+
+/**
+ * @constant
+ * @type {Object}
+ * @description Default query of {@link Downloads#queryPackages}.
+ */
+const DOWNLOAD_PACKAGE_QUERY = {
+    "bytesLoaded": true,
+    "bytesTotal": true,
+    "childCount": true,
+    "comment": true,
+    "enabled": true,
+    "eta": true,
+    "finished": true,
+    "hosts": true,
+    "maxResults": -1,
+    "packageUUIDs": [],
+    "priority": true,
+    "running": true,
+    "saveTo": true,
+    "speed": true,
+    "startAt": 0,
+    "status": true
+};
+
+/**
+ * @constant
+ * @type {Object<string, {fields: string[], filters: string[]}>}
+ * @description Fields and filters accepted by each query endpoint, see {@link QueryBuilder}.
+ */
+const QUERY_FIELDS = {
+    "/downloadsV2/queryLinks": {
+        fields: ["addedDate", "bytesLoaded", "bytesTotal", "comment", "enabled", "eta", "extractionStatus", "finished",
+            "finishedDate", "host", "password", "priority", "running", "skipped", "speed", "status", "url"],
+        filters: ["jobUUIDs", "packageUUIDs"]
+    },
+    "/downloadsV2/queryPackages": {
+        fields: ["bytesLoaded", "bytesTotal", "childCount", "comment", "enabled", "eta", "finished", "hosts", "priority",
+            "running", "saveTo", "speed", "status"],
+        filters: ["packageUUIDs"]
+    },
+    "/linkgrabberv2/queryLinks": {
+        fields: ["availability", "bytesTotal", "comment", "enabled", "host", "hosts", "password", "priority", "status",
+            "url", "variantIcon", "variantID", "variantName", "variants"],
+        filters: ["jobUUIDs", "packageUUIDs"]
+    },
+    "/linkgrabberv2/queryPackages": {
+        fields: ["availableOfflineCount", "availableOnlineCount", "availableTempUnknownCount", "availableUnknownCount",
+            "bytesTotal", "childCount", "comment", "enabled", "hosts", "priority", "saveTo", "status"],
+        filters: ["packageUUIDs"]
+    }
+};
+
 // --- Crypto Utils ---
 /**
  * @constant
@@ -74,6 +430,27 @@ function bufferToBase64(buffer) {
     return btoa(binary);
 }
 
+/**
+ * Normalizes a 32-byte secret given either as a hexadecimal string or as bytes.
+ * @param {string|ArrayBuffer|ArrayBufferView} secret - The secret to normalize.
+ * @returns {ArrayBuffer} A copy of the secret bytes.
+ * @throws {MYJDException} If the secret is not 32 bytes long.
+ */
+function secretToBuffer(secret) {
+    let buffer = null;
+    if (typeof secret === 'string' && /^[0-9a-fA-F]{64}$/.test(secret)) {
+        buffer = hexToBuffer(secret);
+    } else if (secret instanceof ArrayBuffer) {
+        buffer = secret.slice(0);
+    } else if (ArrayBuffer.isView(secret)) {
+        buffer = new Uint8Array(secret.buffer, secret.byteOffset, secret.byteLength).slice().buffer;
+    }
+    if (buffer === null || buffer.byteLength !== 32) {
+        throw new MYJDException("Invalid secret: expected a SHA-256 digest as hex string or bytes\n");
+    }
+    return buffer;
+}
+
 /**
  * Concatenates multiple ArrayBuffers or Uint8Arrays into a single Uint8Array.
  * @param {...(ArrayBuffer|Uint8Array)} buffers - Buffers to concatenate.
@@ -91,6 +468,406 @@ function concatBuffers(...buffers) {
     return tmp;
 }
 
+/**
+ * Number of PBKDF2 iterations used to derive the key protecting a stored session.
+ * @constant
+ * @type {number}
+ */
+const SESSION_KDF_ITERATIONS = 210000;
+
+/**
+ * Derives the AES-GCM key protecting a stored session from a passphrase.
+ * @param {string} passphrase - The user supplied passphrase.
+ * @param {Uint8Array} salt - The random salt stored alongside the blob.
+ * @param {number} iterations - The PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>} The derived AES-GCM key.
+ */
+async function sessionKeyCreate(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey("raw", ENC.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return await crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+        baseKey,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
+
+/**
+ * Encrypts a serialized session with a passphrase (PBKDF2-SHA256 + AES-256-GCM).
+ * @param {string} dataStr - The serialized session.
+ * @param {string} passphrase - The passphrase protecting the session.
+ * @returns {Promise<string>} The sealed blob, as a JSON string.
+ */
+async function sessionSeal(dataStr, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await sessionKeyCreate(passphrase, salt, SESSION_KDF_ITERATIONS);
+    const encrypted = await crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, ENC.encode(dataStr));
+    return JSON.stringify({
+        "sealed": 1,
+        "iterations": SESSION_KDF_ITERATIONS,
+        "salt": bufferToBase64(salt),
+        "iv": bufferToBase64(iv),
+        "data": bufferToBase64(encrypted)
+    });
+}
+
+/**
+ * Decrypts a blob created by {@link sessionSeal}.
+ * @param {Object} blob - The parsed sealed blob.
+ * @param {string} passphrase - The passphrase protecting the session.
+ * @returns {Promise<string>} The serialized session.
+ * @throws {MYJDDecodeException} If the passphrase is wrong or the blob is corrupted.
+ */
+async function sessionOpen(blob, passphrase) {
+    try {
+        const key = await sessionKeyCreate(passphrase, new Uint8Array(base64ToBuffer(blob["salt"])), blob["iterations"]);
+        const decrypted = await crypto.subtle.decrypt(
+            { name: "AES-GCM", iv: new Uint8Array(base64ToBuffer(blob["iv"])) },
+            key,
+            base64ToBuffer(blob["data"])
+        );
+        return DEC.decode(decrypted);
+    } catch (e) {
+        throw new MYJDDecodeException("Failed to decrypt the stored session\n");
+    }
+}
+
+/**
+ * Resolves after the given delay, or rejects as soon as the signal is aborted.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Optional signal cancelling the wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Returns a copy of a value where the string properties with a secret-looking key (see `SECRET_KEY_PATTERN`)
+ * are replaced by a placeholder, at any depth.
+ * @param {any} value - The value to redact.
+ * @returns {any} The redacted copy.
+ */
+function redactValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactValue);
+    }
+    if (value !== null && typeof value === 'object') {
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) {
+            copy[key] = typeof v === 'string' && SECRET_KEY_PATTERN.test(key) ? REDACTED : redactValue(v);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Returns a copy of the request parameters with secrets (passwords, tokens...) replaced by a placeholder.
+ * @param {string} path - The API endpoint path.
+ * @param {any} params - The request parameters: `[name, value]` pairs for cloud calls,
+ * positional parameters for device actions (or a single object, e.g., for {@link Accounts#updateBasicAuth}).
+ * @returns {any} The redacted parameters.
+ */
+function redactParams(path, params) {
+    if (!Array.isArray(params)) {
+        return redactValue(params);
+    }
+    const secretPositions = SECRET_ACTION_PARAMS[path] || [];
+    return params.map((param, i) => {
+        if (secretPositions.includes(i)) {
+            return REDACTED;
+        }
+        if (Array.isArray(param) && param.length === 2 && SECRET_QUERY_PARAMS.includes(param[0])) {
+            return [param[0], REDACTED];
+        }
+        return redactValue(param);
+    });
+}
+
+/**
+ * Maps a `fetch` failure to the reason of a {@link MYJDNetworkException}.
+ * @param {Error} error - The error thrown by `fetch`.
+ * @returns {string} One of the `NETWORK_*` constants.
+ */
+function networkFailureReason(error) {
+    if (error && (error.name === "TimeoutError" || error.name === "AbortError")) {
+        return C.NETWORK_TIMEOUT;
+    }
+    const code = error && error.cause && error.cause.code;
+    switch (code) {
+        case "ENOTFOUND":
+        case "EAI_AGAIN":
+            return C.NETWORK_DNS;
+        case "ECONNREFUSED":
+            return C.NETWORK_REFUSED;
+        case "ECONNRESET":
+        case "EPIPE":
+        case "UND_ERR_SOCKET":
+            return C.NETWORK_RESET;
+        case "UND_ERR_CONNECT_TIMEOUT":
+        case "ETIMEDOUT":
+            return C.NETWORK_TIMEOUT;
+        default:
+            return CERTIFICATE_ERROR_CODES.includes(code) ? C.NETWORK_CERTIFICATE : C.NETWORK_UNKNOWN;
+    }
+}
+
+/**
+ * Returns the scheme of the direct and remote API connections for a TLS policy.
+ * @param {TlsPolicy} tls - The TLS policy.
+ * @returns {('http' | 'https')} The preferred scheme.
+ */
+function tlsScheme(tls) {
+    return tls.https || !tls.allowDowngrade ? "https" : "http";
+}
+
+/**
+ * Normalizes a certificate fingerprint to uppercase hex without separators.
+ * @param {string} fingerprint - The fingerprint (e.g., 'ab:cd:...' or 'ABCD...').
+ * @returns {string} The normalized fingerprint.
+ */
+function normalizeFingerprint(fingerprint) {
+    return String(fingerprint).replace(/[^0-9a-f]/gi, "").toUpperCase();
+}
+
+/**
+ * Minimal `fetch` replacement over node:https that trusts a custom CA or pinned certificate fingerprints,
+ * which the built-in `fetch` cannot do. The certificate is checked before anything is sent.
+ * Failures are reported like `fetch` does: a TypeError whose cause holds the error code.
+ * @param {string} url - The request URL (https).
+ * @param {Object} init - The `fetch` init object (method, headers, body, signal).
+ * @param {TlsPolicy} tls - The TLS policy holding the fingerprints and/or CA.
+ * @returns {Promise<{status: number, text: function(): Promise<string>}>} A promise that resolves to the response.
+ */
+async function pinnedFetch(url, init, tls) {
+    // Not a literal specifier, so bundlers targeting browsers leave it alone
+    const httpsModule = "node:https";
+    const https = await import(httpsModule);
+    const fingerprints = [].concat(tls.fingerprint || []).map(normalizeFingerprint);
+
+    return await new Promise((resolve, reject) => {
+        const fail = (e) => {
+            reject(init.signal && init.signal.aborted ? init.signal.reason : new TypeError("fetch failed", { cause: e }));
+        };
+        const req = https.request(url, {
+            method: init.method,
+            headers: init.headers,
+            signal: init.signal,
+            agent: false,
+            ca: tls.ca || undefined,
+            // Pinned fingerprints replace the chain validation (self-signed certificates)
+            rejectUnauthorized: fingerprints.length === 0
+        });
+        req.on("error", fail);
+        req.on("socket", (socket) => socket.once("secureConnect", () => {
+            if (fingerprints.length !== 0) {
+                const cert = socket.getPeerCertificate();
+                if (!cert || !fingerprints.includes(normalizeFingerprint(cert.fingerprint256 || ""))) {
+                    const e = new Error("Certificate fingerprint mismatch");
+                    e.code = "ERR_CERT_FINGERPRINT_MISMATCH";
+                    req.destroy(e);
+                    return;
+                }
+            }
+            req.end(init.body);
+        }));
+        req.on("response", (res) => {
+            let text = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => { text += chunk; });
+            res.on("end", () => resolve({ status: res.statusCode, text: async () => text }));
+            res.on("error", fail);
+        });
+    });
+}
+
+/**
+ * Walks a query page by page (`startAt` / `maxResults`). Each page overlaps the previous one, so that items
+ * shifting back when earlier ones are removed are not skipped; items are deduplicated by UUID, so that items
+ * shifting forward are not yielded twice.
+ * @param {function(Object[], ActionOptions): Promise<Object[]>} queryPage - Runs a query (e.g., a controller `queryLinks`).
+ * @param {Object} query - The query object. Its `startAt` is where the walk starts, its `maxResults` (if not -1)
+ * caps the number of items yielded.
+ * @param {Object} paging - Paging options.
+ * @param {number} paging.pageSize - The number of items requested per page.
+ * @param {number} paging.overlap - The number of items of the previous page requested again.
+ * @param {ActionOptions} options - Per-call options of the queries.
+ * @returns {AsyncGenerator<Object>} The items.
+ */
+async function* paginate(queryPage, query, { pageSize, overlap }, options) {
+    if (!(pageSize > 0)) {
+        throw new RangeError("pageSize must be a positive number");
+    }
+    overlap = Math.max(0, Math.min(overlap, pageSize - 1));
+    const first = query["startAt"] > 0 ? query["startAt"] : 0;
+    const limit = query["maxResults"] >= 0 ? query["maxResults"] : Infinity;
+    const seen = new Set();
+    let offset = first;
+
+    while (seen.size < limit) {
+        const startAt = Math.max(first, offset - overlap);
+        const items = await queryPage([{ ...query, "startAt": startAt, "maxResults": pageSize }], options) || [];
+        for (const item of items) {
+            if (seen.has(item["uuid"])) continue;
+            seen.add(item["uuid"]);
+            yield item;
+            if (seen.size >= limit) return;
+        }
+        if (items.length < pageSize) return;
+        offset = startAt + items.length;
+    }
+}
+
+/**
+ * Reads the resolution, container and bitrate out of a variant name (e.g., "1080p MP4-Video, AAC-Audio 128kbit").
+ * @param {Object} variant - A variant returned by {@link Linkgrabber#getVariants}.
+ * @returns {{resolution: number | null, container: string | null, bitrate: number, audioOnly: boolean}} The
+ * variant properties, null when not found in the name.
+ */
+function parseVariant(variant) {
+    const text = (variant["name"] || "") + " " + (variant["id"] || "");
+    const resolution = /(\d{3,4})p\b/i.exec(text);
+    const bitrate = /(\d+)\s*kbit/i.exec(text);
+    let container = null;
+    let position = Infinity;
+    for (const candidate of VARIANT_CONTAINERS) {
+        const found = new RegExp("\\b" + candidate + "\\b", "i").exec(text);
+        if (found && found.index < position) {
+            container = candidate;
+            position = found.index;
+        }
+    }
+    return {
+        resolution: resolution ? Number(resolution[1]) : null,
+        container: container,
+        bitrate: bitrate ? Number(bitrate[1]) : 0,
+        audioOnly: !resolution && AUDIO_CONTAINERS.includes(container)
+    };
+}
+
+/**
+ * Picks the best variant matching a rule, see {@link VariantRule}.
+ * @param {Object[]} variants - The variants returned by {@link Linkgrabber#getVariants}.
+ * @param {VariantRule} rule - The rule.
+ * @returns {Object | null} The chosen variant, null if none matches.
+ */
+function pickVariant(variants, rule) {
+    const containers = (rule.containers || []).map(c => c.toUpperCase());
+    const ranked = variants
+        .map(variant => ({ variant: variant, ...parseVariant(variant) }))
+        .filter(v => rule.audioOnly === undefined || v.audioOnly === rule.audioOnly)
+        .filter(v => rule.maxResolution === undefined || (v.resolution !== null && v.resolution <= rule.maxResolution))
+        .filter(v => rule.minResolution === undefined || (v.resolution !== null && v.resolution >= rule.minResolution))
+        .filter(v => containers.length === 0 || containers.includes(v.container))
+        .filter(v => !rule.match || rule.match.test(v.variant["name"] || ""));
+    ranked.sort((a, b) => (b.resolution || 0) - (a.resolution || 0)
+        || containers.indexOf(a.container) - containers.indexOf(b.container)
+        || b.bitrate - a.bitrate);
+    return ranked.length > 0 ? ranked[0].variant : null;
+}
+
+/**
+ * Tells whether a request can be sent again without side effects: the cloud requests of `IDEMPOTENT_CLOUD_PATHS`
+ * and the device actions reading state (see `IDEMPOTENT_ACTION_PATTERN`), whatever their HTTP method.
+ * @param {string} path - The API endpoint path.
+ * @returns {boolean} True if the request is idempotent.
+ */
+function isIdempotentRequest(path) {
+    if (IDEMPOTENT_CLOUD_PATHS.includes(path)) {
+        return true;
+    }
+    return !path.startsWith("/my/") && IDEMPOTENT_ACTION_PATTERN.test(path.substring(path.lastIndexOf("/") + 1));
+}
+
+/**
+ * Creates the signal of a single HTTP request: it aborts on timeout or when the caller's signal aborts.
+ * @param {AbortSignal | undefined} signal - The caller's signal, if any.
+ * @param {number} timeout - The request timeout in milliseconds.
+ * @returns {AbortSignal} The combined signal.
+ */
+function requestSignal(signal, timeout) {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    if (!signal) {
+        return timeoutSignal;
+    }
+    if (typeof AbortSignal.any === 'function') {
+        return AbortSignal.any([signal, timeoutSignal]);
+    }
+    // Node.js < 20.3
+    const controller = new AbortController();
+    for (const s of [signal, timeoutSignal]) {
+        if (s.aborted) {
+            controller.abort(s.reason);
+            break;
+        }
+        s.addEventListener("abort", () => controller.abort(s.reason), { once: true });
+    }
+    return controller.signal;
+}
+
+/**
+ * @typedef {Object} RequestContext
+ * @description Describes a single request attempt to the middlewares registered with {@link MyJDApi#use}.
+ * @property {string} method - The HTTP method ('GET' for cloud calls, 'POST' for device actions).
+ * @property {string} path - The API endpoint path (e.g., '/downloadsV2/queryLinks').
+ * @property {any[] | null} params - The request parameters, before encryption.
+ * @property {('cloud'|'direct'|'remoteapi')} route - How the request reaches its target.
+ * @property {string} url - The base URL the request is sent to.
+ * @property {string | null} deviceId - The ID of the target device, for device actions.
+ * @property {number} rid - The request ID.
+ * @property {number} attempt - The attempt number (greater than 1 for retries).
+ * @property {number | null} duration - The request duration in milliseconds, once completed.
+ * @property {('success'|'error') | null} outcome - The request outcome, once completed.
+ * @property {any} response - The decrypted response, on success.
+ * @property {Error | null} error - The thrown error, on failure.
+ */
+
+/**
+ * Creates a middleware logging every request and its outcome, for {@link MyJDApi#use}.
+ * Tokens, passwords and other secrets are redacted.
+ * @param {Object} [options] - Logger options.
+ * @param {Function} [options.log=console.debug] - The logging function, called with a single string.
+ * @param {boolean} [options.params=true] - Whether to log the request parameters.
+ * @param {boolean} [options.responses=false] - Whether to log the responses.
+ * @returns {Function} The middleware.
+ */
+export function createDebugLogger({ log = console.debug, params = true, responses = false } = {}) {
+    return async (ctx, next) => {
+        const target = ctx.route === "direct" ? `direct ${ctx.url}` : ctx.route;
+        let line = `[jdapi] -> ${ctx.method} ${ctx.path} rid=${ctx.rid} via ${target}`;
+        if (ctx.deviceId !== null) line += ` device=${ctx.deviceId}`;
+        if (ctx.attempt > 1) line += ` attempt=${ctx.attempt}`;
+        if (params) line += ` params=${JSON.stringify(redactParams(ctx.path, ctx.params))}`;
+        log(line);
+        try {
+            await next();
+            line = `[jdapi] <- ${ctx.path} rid=${ctx.rid} ok in ${ctx.duration}ms`;
+            if (responses) line += ` response=${JSON.stringify(redactValue(ctx.response))}`;
+            log(line);
+        } catch (e) {
+            log(`[jdapi] <- ${ctx.path} rid=${ctx.rid} failed in ${ctx.duration}ms: ${e.name} ${String(e.message).trim()}`);
+            throw e;
+        }
+    };
+}
+
 // --- Classes ---
 
 /**
@@ -114,11 +891,12 @@ export class Accounts {
      * @param {string} premiumHoster - The hoster name (e.g., 'uploaded.net').
      * @param {string} username - The username for the account.
      * @param {string} password - The password for the account.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async addAccount(premiumHoster, username, password) {
+    async addAccount(premiumHoster, username, password, options = {}) {
         const params = [premiumHoster, username, password];
-        return await this.device.action(this.url + "/addAccount", params);
+        return await this.device.action(this.url + "/addAccount", params, "POST", options);
     }
 
     /**
@@ -127,46 +905,51 @@ export class Accounts {
      * @param {string} hostmask - The host or hostmask (e.g., 'example.com').
      * @param {string} username - The basic auth username.
      * @param {string} password - The basic auth password.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async addBasicAuth(type, hostmask, username, password) {
+    async addBasicAuth(type, hostmask, username, password, options = {}) {
         const params = [type, hostmask, username, password];
-        return await this.device.action(this.url + "/addBasicAuth", params);
+        return await this.device.action(this.url + "/addBasicAuth", params, "POST", options);
     }
 
     /**
      * Disables the specified accounts by their IDs.
      * @param {number[]} accountIds - List of account UUIDs (as numbers) to disable.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async disableAccounts(accountIds) {
+    async disableAccounts(accountIds, options = {}) {
         const params = [accountIds];
-        return await this.device.action(this.url + "/disableAccounts", params);
+        return await this.device.action(this.url + "/disableAccounts", params, "POST", options);
     }
 
     /**
      * Enables the specified accounts by their IDs.
      * @param {number[]} accountIds - List of account UUIDs (as numbers) to enable.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async enableAccounts(accountIds) {
+    async enableAccounts(accountIds, options = {}) {
         const params = [accountIds];
-        return await this.device.action(this.url + "/enableAccounts", params);
+        return await this.device.action(this.url + "/enableAccounts", params, "POST", options);
     }
 
     /**
      * Retrieves the URL for a specific premium hoster login page.
      * @param {string} hoster - The hoster name.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<string>} A promise that resolves to the hoster URL string.
      */
-    async getPremiumHosterUrl(hoster) {
+    async getPremiumHosterUrl(hoster, options = {}) {
         const params = [hoster];
-        return await this.device.action(this.url + "/getPremiumHosterUrl", params);
+        return await this.device.action(this.url + "/getPremiumHosterUrl", params, "POST", options);
     }
 
     /**
      * Lists all premium accounts, optionally filtering the returned data fields.
      * @param {Object[]} [query] - An array of query objects defining what data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of account objects.
      */
     async listAccounts(query = [{
@@ -180,62 +963,68 @@ export class Accounts {
         "valid": true,
         "error": false,
         "UUIDList": [],
-    }]) {
-        return await this.device.action(this.url + "/listAccounts", query);
+    }], options = {}) {
+        return await this.device.action(this.url + "/listAccounts", query, "POST", options);
     }
 
     /**
      * Lists all configured basic authentication credentials.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of basic auth objects.
      */
-    async listBasicAuth() {
-        return await this.device.action(this.url + "/listBasicAuth");
+    async listBasicAuth(options = {}) {
+        return await this.device.action(this.url + "/listBasicAuth", [], "POST", options);
     }
 
     /**
      * Lists all supported premium hosters.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<string[]>} A promise that resolves to an array of hoster names.
      */
-    async listPremiumHoster() {
-        return await this.device.action(this.url + "/listPremiumHoster");
+    async listPremiumHoster(options = {}) {
+        return await this.device.action(this.url + "/listPremiumHoster", [], "POST", options);
     }
 
     /**
      * Lists all URLs of supported premium hosters.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to an object mapping hoster names to URLs.
      */
-    async listPremiumHosterUrls() {
-        return await this.device.action(this.url + "/listPremiumHosterUrls");
+    async listPremiumHosterUrls(options = {}) {
+        return await this.device.action(this.url + "/listPremiumHosterUrls", [], "POST", options);
     }
 
     /**
      * Forces a refresh check for the validity/traffic of the specified accounts.
      * @param {number[]} accountIds - List of account UUIDs (as numbers) to refresh.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async refreshAccounts(accountIds) {
+    async refreshAccounts(accountIds, options = {}) {
         const params = [accountIds];
-        return await this.device.action(this.url + "/refreshAccounts", params);
+        return await this.device.action(this.url + "/refreshAccounts", params, "POST", options);
     }
 
     /**
      * Removes the specified accounts by their IDs.
      * @param {number[]} accountIds - List of account UUIDs (as numbers) to remove.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async removeAccounts(accountIds) {
+    async removeAccounts(accountIds, options = {}) {
         const params = [accountIds];
-        return await this.device.action(this.url + "/removeAccounts", params);
+        return await this.device.action(this.url + "/removeAccounts", params, "POST", options);
     }
 
     /**
      * Removes the specified basic authentication entries by their IDs.
      * @param {number[]} accountIds - List of basic auth UUIDs (as numbers) to remove.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async removeBasicAuths(accountIds) {
+    async removeBasicAuths(accountIds, options = {}) {
         const params = [accountIds];
-        return await this.device.action(this.url + "/removeBasicAuths", params);
+        return await this.device.action(this.url + "/removeBasicAuths", params, "POST", options);
     }
 
     /**
@@ -243,20 +1032,22 @@ export class Accounts {
      * @param {number} accountId - The account UUID (as a number).
      * @param {string} username - The new username.
      * @param {string} password - The new password.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async setUserNameAndPassword(accountId, username, password) {
+    async setUserNameAndPassword(accountId, username, password, options = {}) {
         const params = [accountId, username, password];
-        return await this.device.action(this.url + "/setUserNameAndPassword", params);
+        return await this.device.action(this.url + "/setUserNameAndPassword", params, "POST", options);
     }
 
     /**
      * Updates an existing basic authentication entry.
      * @param {Object} basicAuth - The complete basic auth object with updated fields.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async updateBasicAuth(basicAuth) {
-        return await this.device.action(this.url + "/updateBasicAuth", basicAuth);
+    async updateBasicAuth(basicAuth, options = {}) {
+        return await this.device.action(this.url + "/updateBasicAuth", basicAuth, "POST", options);
     }
 }
 
@@ -278,53 +1069,59 @@ export class System {
 
     /**
      * Stops JDownloader (exits the application).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the operation was initiated successfully.
      */
-    async exitJD() {
-        return await this.device.action(this.url + "/exitJD");
+    async exitJD(options = {}) {
+        return await this.device.action(this.url + "/exitJD", [], "POST", options);
     }
 
     /**
      * Restarts the JDownloader application.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the operation was initiated successfully.
      */
-    async restartJD() {
-        return await this.device.action(this.url + "/restartJD");
+    async restartJD(options = {}) {
+        return await this.device.action(this.url + "/restartJD", [], "POST", options);
     }
 
     /**
      * Commands the underlying operating system to hibernate (suspend to disk).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the operation was initiated successfully.
      */
-    async hibernateOS() {
-        return await this.device.action(this.url + "/hibernateOS");
+    async hibernateOS(options = {}) {
+        return await this.device.action(this.url + "/hibernateOS", [], "POST", options);
     }
 
     /**
      * Commands the underlying operating system to shutdown.
      * @param {boolean} force - If true, forces the shutdown, bypassing confirmation dialogues.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the operation was initiated successfully.
      */
-    async shutdownOS(force) {
+    async shutdownOS(force, options = {}) {
         const params = force; 
-        return await this.device.action(this.url + "/shutdownOS", params);
+        return await this.device.action(this.url + "/shutdownOS", params, "POST", options);
     }
 
     /**
      * Commands the underlying operating system to standby (suspend to RAM).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the operation was initiated successfully.
      */
-    async standbyOS() {
-        return await this.device.action(this.url + "/standbyOS");
+    async standbyOS(options = {}) {
+        return await this.device.action(this.url + "/standbyOS", [], "POST", options);
     }
 
     /**
      * Retrieves storage information about the file system where JDownloader is running,
      * including free and total space.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to an object containing storage details.
      */
-    async getStorageInfo() {
-        return await this.device.action(this.url + "/getStorageInfos?path");
+    async getStorageInfo(options = {}) {
+        return await this.device.action(this.url + "/getStorageInfos?path", [], "POST", options);
     }
 }
 
@@ -346,10 +1143,11 @@ export class JD {
 
     /**
      * Retrieves the current core revision number of the JDownloader client.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<number>} A promise that resolves to the core revision number.
      */
-    async getCoreRevision() {
-        return await this.device.action(this.url + "/getCoreRevision");
+    async getCoreRevision(options = {}) {
+        return await this.device.action(this.url + "/getCoreRevision", [], "POST", options);
     }
 }
 
@@ -371,35 +1169,39 @@ export class Update {
 
     /**
      * Restarts JDownloader and immediately starts the update process.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the update was initiated.
      */
-    async restartAndUpdate() {
-        return await this.device.action(this.url + "/restartAndUpdate");
+    async restartAndUpdate(options = {}) {
+        return await this.device.action(this.url + "/restartAndUpdate", [], "POST", options);
     }
 
     /**
      * Forces JDownloader to run a check for new updates.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves after the check is started.
      */
-    async runUpdateCheck() {
-        return await this.device.action(this.url + "/runUpdateCheck");
+    async runUpdateCheck(options = {}) {
+        return await this.device.action(this.url + "/runUpdateCheck", [], "POST", options);
     }
 
     /**
      * Checks if updates are currently available after a check has been performed.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if updates are available.
      */
-    async isUpdateAvailable() {
-        return await this.device.action(this.url + "/isUpdateAvailable");
+    async isUpdateAvailable(options = {}) {
+        return await this.device.action(this.url + "/isUpdateAvailable", [], "POST", options);
     }
 
     /**
      * Runs an update check and then returns whether an update is available.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if updates are available.
      */
-    async updateAvailable() {
-        await this.runUpdateCheck();
-        return await this.isUpdateAvailable();
+    async updateAvailable(options = {}) {
+        await this.runUpdateCheck(options);
+        return await this.isUpdateAvailable(options);
     }
 }
 
@@ -422,22 +1224,24 @@ export class Config {
     /**
      * Lists all configurable settings interfaces.
      * @param {Object} [params=null] - Optional parameters for listing.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to an object listing configuration interfaces.
      */
-    async list(params = null) {
+    async list(params = null, options = {}) {
         if (params !== null) {
-            return await this.device.action(this.url + "/list");
+            return await this.device.action(this.url + "/list", [], "POST", options);
         }
-        return await this.device.action(this.url + "/list", params);
+        return await this.device.action(this.url + "/list", params, "POST", options);
     }
 
     /**
      * Lists possible values for an enum configuration type.
      * @param {string} type - The enum type name.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of possible enum values.
      */
-    async listEnum(type) {
-        return await this.device.action(this.url + "/listEnum", [type]);
+    async listEnum(type, options = {}) {
+        return await this.device.action(this.url + "/listEnum", [type], "POST", options);
     }
 
     /**
@@ -445,11 +1249,12 @@ export class Config {
      * @param {string} interfaceName - The name of the configuration interface (e.g., 'org.jdownloader.settings.GeneralSettings').
      * @param {string} storage - The storage name (e.g., 'default').
      * @param {string} key - The key of the configuration item.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<any>} A promise that resolves to the configuration value (string, number, boolean, or object).
      */
-    async get(interfaceName, storage, key) {
+    async get(interfaceName, storage, key, options = {}) {
         const params = [interfaceName, storage, key];
-        return await this.device.action(this.url + "/get", params);
+        return await this.device.action(this.url + "/get", params, "POST", options);
     }
 
     /**
@@ -457,16 +1262,18 @@ export class Config {
      * @param {string} interfaceName - The name of the configuration interface.
      * @param {string} storage - The storage name.
      * @param {string} key - The key of the configuration item.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<any>} A promise that resolves to the default configuration value.
      */
-    async getDefault(interfaceName, storage, key) {
+    async getDefault(interfaceName, storage, key, options = {}) {
         const params = [interfaceName, storage, key];
-        return await this.device.action(this.url + "/getDefault", params);
+        return await this.device.action(this.url + "/getDefault", params, "POST", options);
     }
 
     /**
      * Queries configuration settings based on filtering criteria.
      * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve and filter.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of matching configuration objects.
      */
     async query(params = [{
@@ -477,8 +1284,8 @@ export class Config {
         "includeExtensions": true,
         "pattern": "",
         "values": true
-    }]) {
-        return await this.device.action(this.url + "/query", params);
+    }], options = {}) {
+        return await this.device.action(this.url + "/query", params, "POST", options);
     }
 
     /**
@@ -486,11 +1293,12 @@ export class Config {
      * @param {string} interfaceName - The name of the configuration interface.
      * @param {string} storage - The storage name.
      * @param {string} key - The key of the configuration item to reset.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon successful reset.
      */
-    async reset(interfaceName, storage, key) {
+    async reset(interfaceName, storage, key, options = {}) {
         const params = [interfaceName, storage, key];
-        return await this.device.action(this.url + "/reset", params);
+        return await this.device.action(this.url + "/reset", params, "POST", options);
     }
 
     /**
@@ -499,11 +1307,12 @@ export class Config {
      * @param {string} storage - The storage name.
      * @param {string} key - The key of the configuration item to set.
      * @param {any} value - The new value (string, number, boolean, or object).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon successful setting.
      */
-    async set(interfaceName, storage, key, value) {
+    async set(interfaceName, storage, key, value, options = {}) {
         const params = [interfaceName, storage, key, value];
-        return await this.device.action(this.url + "/set", params);
+        return await this.device.action(this.url + "/set", params, "POST", options);
     }
 }
 
@@ -525,55 +1334,61 @@ export class DownloadController {
 
     /**
      * Starts all pending downloads in JDownloader.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async startDownloads() {
-        return await this.device.action(this.url + "/start");
+    async startDownloads(options = {}) {
+        return await this.device.action(this.url + "/start", [], "POST", options);
     }
 
     /**
      * Stops all active downloads in JDownloader.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async stopDownloads() {
-        return await this.device.action(this.url + "/stop");
+    async stopDownloads(options = {}) {
+        return await this.device.action(this.url + "/stop", [], "POST", options);
     }
 
     /**
      * Pauses or unpauses all downloads.
      * @param {boolean} value - True to pause, false to unpause.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async pauseDownloads(value) {
+    async pauseDownloads(value, options = {}) {
         const params = [value];
-        return await this.device.action(this.url + "/pause", params);
+        return await this.device.action(this.url + "/pause", params, "POST", options);
     }
 
     /**
      * Retrieves the current aggregate download speed in Bytes per second.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<number>} A promise that resolves to the current download speed (Bps).
      */
-    async getSpeedInBytes() {
-        return await this.device.action(this.url + "/getSpeedInBps");
+    async getSpeedInBytes(options = {}) {
+        return await this.device.action(this.url + "/getSpeedInBps", [], "POST", options);
     }
 
     /**
      * Forces the download of specific links or packages, interrupting the current queue order.
      * @param {number[]} linkIds - Array of link UUIDs (as numbers) to force download.
      * @param {number[]} packageIds - Array of package UUIDs (as numbers) to force download.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async forceDownload(linkIds, packageIds) {
+    async forceDownload(linkIds, packageIds, options = {}) {
         const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/forceDownload", params);
+        return await this.device.action(this.url + "/forceDownload", params, "POST", options);
     }
 
     /**
      * Retrieves the current state of the download controller (e.g., 'STOPPED', 'RUNNING', 'PAUSED').
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<string>} A promise that resolves to the current state string.
      */
-    async getCurrentState() {
-        return await this.device.action(this.url + "/getCurrentState");
+    async getCurrentState(options = {}) {
+        return await this.device.action(this.url + "/getCurrentState", [], "POST", options);
     }
 }
 
@@ -596,6 +1411,7 @@ export class Extension {
     /**
      * Lists all installed and available extensions, optionally filtering the returned data.
      * @param {Object[]} [params] - An array of query objects defining data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of extension information objects.
      */
     async list(params = [{
@@ -606,45 +1422,49 @@ export class Extension {
         "name": true,
         "pattern": "",
         "installed": true
-    }]) {
-        return await this.device.action(this.url + "/list", params);
+    }], options = {}) {
+        return await this.device.action(this.url + "/list", params, "POST", options);
     }
 
     /**
      * Installs an extension by its ID (if available).
      * @param {string} id - The unique ID of the extension to install.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async install(id) {
-        return await this.device.action(this.url + "/install", [id]);
+    async install(id, options = {}) {
+        return await this.device.action(this.url + "/install", [id], "POST", options);
     }
 
     /**
      * Checks if a specific extension is installed.
      * @param {string} id - The unique ID of the extension.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the extension is installed.
      */
-    async isInstalled(id) {
-        return await this.device.action(this.url + "/isInstalled", [id]);
+    async isInstalled(id, options = {}) {
+        return await this.device.action(this.url + "/isInstalled", [id], "POST", options);
     }
 
     /**
      * Checks if a specific extension is currently enabled.
      * @param {string} id - The unique ID of the extension.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the extension is enabled.
      */
-    async isEnabled(id) {
-        return await this.device.action(this.url + "/isEnabled", [id]);
+    async isEnabled(id, options = {}) {
+        return await this.device.action(this.url + "/isEnabled", [id], "POST", options);
     }
 
     /**
      * Enables or disables a specific extension.
      * @param {string} id - The unique ID of the extension.
      * @param {boolean} enabled - True to enable, false to disable.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async setEnabled(id, enabled) {
-        return await this.device.action(this.url + "/setEnabled", [id, enabled]);
+    async setEnabled(id, enabled, options = {}) {
+        return await this.device.action(this.url + "/setEnabled", [id, enabled], "POST", options);
     }
 }
 
@@ -668,10 +1488,11 @@ export class Dialog {
      * Submits an answer to a pending dialog/prompt.
      * @param {number} id - The ID of the dialog to answer.
      * @param {Object} data - The answer data object specific to the dialog type.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true if the answer was submitted.
      */
-    async answer(id, data) {
-        return await this.device.action(this.url + "/answer", [id, data]);
+    async answer(id, data, options = {}) {
+        return await this.device.action(this.url + "/answer", [id, data], "POST", options);
     }
 
     /**
@@ -679,439 +1500,426 @@ export class Dialog {
      * @param {number} id - The ID of the dialog.
      * @param {boolean} [icon=true] - Whether to retrieve icon data.
      * @param {boolean} [properties=true] - Whether to retrieve properties data.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the detailed dialog object.
      */
-    async get(id, icon = true, properties = true) {
-        return await this.device.action(this.url + "/get", [id, icon, properties]);
+    async get(id, icon = true, properties = true, options = {}) {
+        return await this.device.action(this.url + "/get", [id, icon, properties], "POST", options);
     }
 
     /**
      * Retrieves static information about a specific dialog type.
      * @param {string} dialogType - The type identifier of the dialog.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object>} A promise that resolves to the type information object.
      */
-    async getTypeInfo(dialogType) {
-        return await this.device.action(this.url + "/getTypeInfo", [dialogType]);
+    async getTypeInfo(dialogType, options = {}) {
+        return await this.device.action(this.url + "/getTypeInfo", [dialogType], "POST", options);
     }
 
     /**
      * Lists all currently active dialogs waiting for user input.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<Object[]>} A promise that resolves to an array of active dialog objects.
      */
-    async list() {
-        return await this.device.action(this.url + "/list");
+    async list(options = {}) {
+        return await this.device.action(this.url + "/list", [], "POST", options);
     }
 }
 
 /**
  * @class
- * @description Provides methods to manage the Linkgrabber tab (the area where links are collected and analyzed before being added to the download queue).
+ * @description Builds the parameters of a link or package query, checking every field against the endpoint
+ * before anything is sent. Obtained with the `links()` and `packages()` methods of {@link Downloads} and
+ * {@link Linkgrabber}. Only the requested fields are returned, besides the always present ones (uuid, name...).
+ * @example
+ * const links = await device.downloads.links().fields('speed', 'eta', 'status').inPackages(ids).limit(100).run();
  */
-export class Linkgrabber {
+export class QueryBuilder {
     /**
      * @constructor
-     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     * @param {Downloads | Linkgrabber} controller - The controller running the query.
+     * @param {('queryLinks' | 'queryPackages')} method - The query method of the controller.
      */
-    constructor(device) {
-        /** @type {JDDevice} */
-        this.device = device;
+    constructor(controller, method) {
+        /** @type {Downloads | Linkgrabber} */
+        this.controller = controller;
         /** @type {string} */
-        this.url = '/linkgrabberv2';
+        this.method = method;
+        /** @type {string} */
+        this.path = controller.url + "/" + method;
+        if (!(this.path in QUERY_FIELDS)) {
+            throw new TypeError(`No query builder for ${this.path}`);
+        }
+        /** @type {Object} */
+        this._query = { "maxResults": -1, "startAt": 0 };
+        /** @type {boolean} */
+        this._models = false;
     }
 
     /**
-     * Clears all links and packages from the Linkgrabber list.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Requests fields.
+     * @param {...string} names - The field names (e.g., 'speed', 'eta').
+     * @returns {QueryBuilder} The builder.
+     * @throws {MYJDInvalidQueryException} If the endpoint has no such field.
      */
-    async clearList() {
-        return await this.device.action(this.url + "/clearList", [], "POST");
+    fields(...names) {
+        const valid = QUERY_FIELDS[this.path].fields;
+        for (const name of names.flat()) {
+            if (!valid.includes(name)) {
+                throw new MYJDInvalidQueryException(name, `Unknown field "${name}" for ${this.path}, expected one of: ${valid.join(", ")}\n`,
+                    { path: this.path });
+            }
+            this._query[name] = true;
+        }
+        return this;
     }
 
     /**
-     * Moves specific links and/or packages from the Linkgrabber to the Download List.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Requests every field of the endpoint.
+     * @returns {QueryBuilder} The builder.
      */
-    async moveToDownloadList(linkIds, packageIds) {
-        const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/moveToDownloadlist", params);
+    allFields() {
+        return this.fields(...QUERY_FIELDS[this.path].fields);
     }
 
     /**
-     * Queries specific links within the Linkgrabber packages, optionally filtering the returned data fields.
-     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of link objects.
+     * Restricts the query to some packages.
+     * @param {number[]} packageUUIDs - The package UUIDs.
+     * @returns {QueryBuilder} The builder.
      */
-    async queryLinks(params = [{
-        "bytesTotal": true,
-        "comment": true,
-        "status": true,
-        "enabled": true,
-        "maxResults": -1,
-        "startAt": 0,
-        "hosts": true,
-        "url": true,
-        "availability": true,
-        "variantIcon": true,
-        "variantName": true,
-        "variantID": true,
-        "variants": true,
-        "priority": true
-    }]) {
-        return await this.device.action(this.url + "/queryLinks", params);
+    inPackages(packageUUIDs) {
+        return this._filter("packageUUIDs", packageUUIDs);
     }
 
     /**
-     * Cleans up the Linkgrabber list based on defined criteria (e.g., removing duplicates, offline links).
-     * @param {string} action - The cleanup action to perform.
-     * @param {string} mode - The cleanup mode.
-     * @param {string} selectionType - Defines if cleanup applies to links, packages, or both.
-     * @param {number[]} [linkIds] - Optional array of specific link UUIDs to target.
-     * @param {number[]} [packageIds] - Optional array of specific package UUIDs to target.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Restricts the query to the links of some crawler jobs (link queries only).
+     * @param {number[]} jobUUIDs - The crawler job UUIDs.
+     * @returns {QueryBuilder} The builder.
+     * @throws {MYJDInvalidQueryException} If the endpoint cannot filter by job.
      */
-    async cleanup(action, mode, selectionType, linkIds = [], packageIds = []) {
-        let params = [linkIds, packageIds];
-        params = params.concat([action, mode, selectionType]);
-        return await this.device.action(this.url + "/cleanup", params);
+    inJobs(jobUUIDs) {
+        return this._filter("jobUUIDs", jobUUIDs);
     }
 
     /**
-     * Adds a link container file (e.g., DLC, CCF, RSDF content as a base64 string) to the Linkgrabber.
-     * @param {string} type_ - The type of container (e.g., 'DLC', 'TEXT').
-     * @param {string} content - The file content (usually Base64 encoded).
-     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * Skips the first items.
+     * @param {number} startAt - The index of the first item returned.
+     * @returns {QueryBuilder} The builder.
      */
-    async addContainer(type_, content) {
-        const params = [type_, content];
-        return await this.device.action(this.url + "/addContainer", params);
+    offset(startAt) {
+        this._query["startAt"] = startAt;
+        return this;
     }
 
     /**
-     * Retrieves the final download URLs for specified links or packages.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
-     * @param {string} urlDisplayType - Specifies the format of the returned URL.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of URL objects.
+     * Caps the number of items returned.
+     * @param {number} maxResults - The maximum number of items, -1 for all.
+     * @returns {QueryBuilder} The builder.
      */
-    async getDownloadUrls(linkIds, packageIds, urlDisplayType) {
-        const params = [packageIds, linkIds, urlDisplayType];
-        return await this.device.action(this.url + "/getDownloadUrls", params);
+    limit(maxResults) {
+        this._query["maxResults"] = maxResults;
+        return this;
     }
 
     /**
-     * Sets the priority for specified links or packages in the Linkgrabber.
-     * @param {string} priority - The new priority (e.g., 'DEFAULT', 'HIGH', 'LOW').
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Returns model objects ({@link DownloadLink}, {@link DownloadPackage}, {@link CrawledLink} or
+     * {@link CrawledPackage}) instead of plain objects.
+     * @returns {QueryBuilder} The builder.
      */
-    async setPriority(priority, linkIds, packageIds) {
-        const params = [priority, linkIds, packageIds];
-        return await this.device.action(this.url + "/setPriority", params);
+    asModels() {
+        this._models = true;
+        return this;
     }
 
     /**
-     * Enables or disables specified links or packages in the Linkgrabber.
-     * @param {boolean} enable - True to enable, false to disable.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Returns the parameter array of the query, as expected by {@link JDDevice#action}.
+     * @returns {Object[]} The parameters.
      */
-    async setEnabled(enable, linkIds, packageIds) {
-        const params = [enable, linkIds, packageIds];
-        return await this.device.action(this.url + "/setEnabled", params);
+    build() {
+        return [{ ...this._query }];
     }
 
     /**
-     * Retrieves available variants (e.g., different file mirrors or download options) for links/packages.
-     * @param {Object} params - Query parameters to select links/packages.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of link variant objects.
+     * Runs the query.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to the items (models with {@link QueryBuilder#asModels}).
      */
-    async getVariants(params) {
-        return await this.device.action(this.url + "/getVariants", params);
+    async run(options = {}) {
+        const items = await this.controller[this.method](this.build(), options) || [];
+        return items.map(item => this._wrap(item));
     }
 
     /**
-     * Adds raw links to the Linkgrabber, providing package and configuration details.
-     * @param {Object[]} [params] - An array of link objects containing links, package name, passwords, etc.
-     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * Runs the query page by page, to be consumed with `for await` (see {@link Downloads#iterateLinks}).
+     * The offset and limit of the builder still apply.
+     * @param {Object} [paging] - Paging options, plus per-call options of the queries (see {@link JDDevice#action}).
+     * @param {number} [paging.pageSize=500] - The number of items requested per page.
+     * @param {number} [paging.overlap] - The number of items of the previous page requested again, a tenth of
+     * the page by default.
+     * @returns {AsyncGenerator<Object>} The items.
      */
-    async addLinks(params = [{
-        "autostart": false,
-        "links": null,
-        "packageName": null,
-        "extractPassword": null,
-        "priority": "DEFAULT",
-        "downloadPassword": null,
-        "destinationFolder": null,
-        "overwritePackagizerRules": false
-    }]) {
-        return await this.device.action("/linkgrabberv2/addLinks", params);
+    async *iterate({ pageSize = 500, overlap = Math.floor(pageSize / 10), ...options } = {}) {
+        const queryPage = (params, opts) => this.controller[this.method](params, opts);
+        for await (const item of paginate(queryPage, this.build()[0], { pageSize: pageSize, overlap: overlap }, options)) {
+            yield this._wrap(item);
+        }
     }
 
     /**
-     * Checks if the Linkgrabber is currently busy collecting or analyzing links.
-     * @returns {Promise<boolean>} A promise that resolves to true if collecting is in progress.
+     * Wraps a queried item into its model when {@link QueryBuilder#asModels} was called.
+     * @private
+     * @param {Object} item - The queried item.
+     * @returns {Object} The item or its model.
      */
-    async isCollecting() {
-        return await this.device.action(this.url + "/isCollecting");
+    _wrap(item) {
+        if (!this._models) {
+            return item;
+        }
+        const isLinkgrabber = this.controller instanceof Linkgrabber;
+        if (this.method === "queryLinks") {
+            return isLinkgrabber ? new CrawledLink(this.controller, item) : new DownloadLink(this.controller, item);
+        }
+        return isLinkgrabber ? new CrawledPackage(this.controller, item) : new DownloadPackage(this.controller, item);
     }
 
     /**
-     * Removes specified links or packages from the Linkgrabber list.
-     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to remove.
-     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to remove.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Sets a UUID filter.
+     * @private
+     * @param {string} filter - The filter name.
+     * @param {number[]} uuids - The UUIDs.
+     * @returns {QueryBuilder} The builder.
+     * @throws {MYJDInvalidQueryException} If the endpoint has no such filter.
      */
-    async removeLinks(linkIds = [], packageIds = []) {
-        const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/removeLinks", params);
+    _filter(filter, uuids) {
+        if (!QUERY_FIELDS[this.path].filters.includes(filter)) {
+            throw new MYJDInvalidQueryException(filter, `Unknown filter "${filter}" for ${this.path}\n`, { path: this.path });
+        }
+        this._query[filter] = [...uuids];
+        return this;
     }
+}
 
+/**
+ * @class
+ * @description Base of the model objects: the queried fields are copied onto the instance, the controller
+ * is kept out of enumeration (spreading or serializing a model gives back the queried data).
+ */
+class ListItem {
     /**
-     * Retrieves the count of packages currently in the Linkgrabber.
-     * @returns {Promise<number>} A promise that resolves to the package count.
+     * @constructor
+     * @param {Downloads | Linkgrabber} controller - The controller of the list the item belongs to.
+     * @param {Object} data - The queried item.
      */
-    async getPackageCount() {
-        return await this.device.action("/linkgrabberv2/getPackageCount");
+    constructor(controller, data) {
+        Object.defineProperty(this, "controller", { value: controller, enumerable: false, writable: true });
+        Object.assign(this, data);
     }
 
     /**
-     * Renames a specific package in the Linkgrabber.
-     * @param {number} packageId - The UUID of the package to rename.
-     * @param {string} newName - The new name for the package.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Whether the item is a package.
+     * @protected
+     * @returns {boolean} True for packages.
      */
-    async renamePackage(packageId, newName) {
-        const params = [packageId, newName];
-        return await this.device.action(this.url + "/renamePackage", params);
+    _isPackage() {
+        return false;
     }
 
     /**
-     * Queries packages in the Linkgrabber, optionally filtering the returned data fields.
-     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of package objects.
+     * Returns the link and package UUID arrays targeting this item.
+     * @protected
+     * @returns {number[][]} The link UUIDs and the package UUIDs.
      */
-    async queryPackages(params = [{
-        "availableOfflineCount": true,
-        "availableOnlineCount": true,
-        "availableTempUnknownCount": true,
-        "availableUnknownCount": true,
-        "bytesTotal": true,
-        "childCount": true,
-        "comment": true,
-        "enabled": true,
-        "hosts": true,
-        "maxResults": -1,
-        "packageUUIDs": [],
-        "priority": true,
-        "saveTo": true,
-        "startAt": 0,
-        "status": true
-    }]) {
-        return await this.device.action(this.url + "/queryPackages", params);
+    _ids() {
+        return this._isPackage() ? [[], [this.uuid]] : [[this.uuid], []];
     }
 
     /**
-     * Renames a specific link within a package.
-     * @param {number} linkId - The UUID of the link to rename.
-     * @param {string} newName - The new name for the link.
+     * Renames the item.
+     * @param {string} newName - The new name.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async renameLink(linkId, newName) {
-        const params = [linkId, newName];
-        return await this.device.action(this.url + "/renameLink", params);
+    async rename(newName, options = {}) {
+        const result = this._isPackage()
+            ? await this.controller.renamePackage(this.uuid, newName, options)
+            : await this.controller.renameLink(this.uuid, newName, options);
+        this.name = newName;
+        return result;
     }
 
     /**
-     * Moves specified links into a brand new package with a defined name and path.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
-     * @param {string} newPkgName - The name of the new package.
-     * @param {string} downloadPath - The download path for the new package.
+     * Enables or disables the item.
+     * @param {boolean} enabled - True to enable, false to disable.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async moveToNewPackage(linkIds, packageIds, newPkgName, downloadPath) {
-        const params = [linkIds, packageIds, newPkgName, downloadPath];
-        return await this.device.action(this.url + "/movetoNewPackage", params);
+    async setEnabled(enabled, options = {}) {
+        const result = await this.controller.setEnabled(enabled, ...this._ids(), options);
+        this.enabled = enabled;
+        return result;
     }
 
     /**
-     * Retrieves the API help documentation for the Linkgrabber V2 interface.
-     * @returns {Promise<Object>} A promise that resolves to the help documentation object.
+     * Sets the priority of the item.
+     * @param {string} priority - The new priority (e.g., 'DEFAULT', 'HIGH', 'LOW').
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setPriority(priority, options = {}) {
+        const result = await this.controller.setPriority(priority, ...this._ids(), options);
+        this.priority = priority;
+        return result;
+    }
+
+    /**
+     * Removes the item from its list.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async help() {
-        return await this.device.action("/linkgrabberv2/help", [], "GET");
+    async remove(options = {}) {
+        return await this.controller.removeLinks(...this._ids(), options);
     }
-    
-    // NOTE: Other methods from the original structure (e.g., getChildrenChanged, getDownFolderHistorySelectBase, moveLinks, setVariant, movePackages, addVariantCopy) are implicitly omitted as they were not implemented in the base JS code.
 }
 
 /**
  * @class
- * @description Provides methods to manage the Downloads tab (the main download queue).
+ * @description Base of the download list models, with the progress helpers.
  */
-export class Downloads {
+class DownloadItem extends ListItem {
     /**
-     * @constructor
-     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     * The download progress in percent, null if the sizes were not queried or are unknown.
+     * @type {number | null}
      */
-    constructor(device) {
-        /** @type {JDDevice} */
-        this.device = device;
-        /** @type {string} */
-        this.url = "/downloadsV2";
+    get progress() {
+        if (typeof this.bytesLoaded !== "number" || !(this.bytesTotal > 0)) {
+            return null;
+        }
+        return Math.min(100, (this.bytesLoaded / this.bytesTotal) * 100);
     }
 
     /**
-     * Queries links within the download packages, optionally filtering the returned data fields.
-     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of link objects in the download queue.
+     * The remaining time as `H:MM:SS`, null if the ETA was not queried or is unknown.
+     * @type {string | null}
      */
-    async queryLinks(params = [{
-        "addedDate": true,
-        "bytesLoaded": true,
-        "bytesTotal": true,
-        "comment": true,
-        "enabled": true,
-        "eta": true,
-        "extractionStatus": true,
-        "finished": true,
-        "finishedDate": true,
-        "host": true,
-        "jobUUIDs": [],
-        "maxResults": -1,
-        "packageUUIDs": [],
-        "password": true,
-        "priority": true,
-        "running": true,
-        "skipped": true,
-        "speed": true,
-        "startAt": 0,
-        "status": true,
-        "url": true
-    }]) {
-        return await this.device.action(this.url + "/queryLinks", params);
+    get formattedEta() {
+        if (typeof this.eta !== "number" || this.eta < 0) {
+            return null;
+        }
+        const seconds = Math.floor(this.eta);
+        const pad = (n) => String(n).padStart(2, "0");
+        return Math.floor(seconds / 3600) + ":" + pad(Math.floor(seconds / 60) % 60) + ":" + pad(seconds % 60);
     }
 
     /**
-     * Queries packages in the download list, optionally filtering the returned data fields.
-     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of package objects in the download queue.
+     * Resets the item, its download starts over.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async queryPackages(params = [{
-        "bytesLoaded": true,
-        "bytesTotal": true,
-        "childCount": true,
-        "comment": true,
-        "enabled": true,
-        "eta": true,
-        "finished": true,
-        "hosts": true,
-        "maxResults": -1,
-        "packageUUIDs": [],
-        "priority": true,
-        "running": true,
-        "saveTo": true,
-        "speed": true,
-        "startAt": 0,
-        "status": true
-    }]) {
-        return await this.device.action(this.url + "/queryPackages", params);
+    async reset(options = {}) {
+        return await this.controller.resetLinks(...this._ids(), options);
     }
 
     /**
-     * Cleans up the Download list based on defined criteria (e.g., removing completed, failed, or offline links).
-     * @param {string} action - The cleanup action to perform.
-     * @param {string} mode - The cleanup mode.
-     * @param {string} selectionType - Defines if cleanup applies to links, packages, or both.
-     * @param {number[]} [linkIds] - Optional array of specific link UUIDs to target.
-     * @param {number[]} [packageIds] - Optional array of specific package UUIDs to target.
+     * Starts the download of the item immediately, ignoring the download limits.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async cleanup(action, mode, selectionType, linkIds = [], packageIds = []) {
-        let params = [linkIds, packageIds];
-        params = params.concat([action, mode, selectionType]);
-        return await this.device.action(this.url + "/cleanup", params);
+    async forceDownload(options = {}) {
+        return await this.controller.forceDownload(...this._ids(), options);
     }
+}
+
+/**
+ * @class
+ * @description A link of the download list, see {@link QueryBuilder#asModels}.
+ */
+export class DownloadLink extends DownloadItem {}
 
+/**
+ * @class
+ * @description A package of the download list, see {@link QueryBuilder#asModels}.
+ */
+export class DownloadPackage extends DownloadItem {
     /**
-     * Enables or disables specified links or packages in the download list.
-     * @param {boolean} enable - True to enable, false to disable.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * @protected
+     * @returns {boolean} True for packages.
      */
-    async setEnabled(enable, linkIds, packageIds) {
-        const params = [enable, linkIds, packageIds];
-        return await this.device.action(this.url + "/setEnabled", params);
+    _isPackage() {
+        return true;
     }
 
     /**
-     * Forces the download of specific links or packages, interrupting the current queue order.
-     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to force download.
-     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to force download.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Queries the links of the package, with every field.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<DownloadLink[]>} A promise that resolves to the links.
      */
-    async forceDownload(linkIds = [], packageIds = []) {
-        const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/forceDownload", params);
+    async links(options = {}) {
+        return await this.controller.links().allFields().inPackages([this.uuid]).asModels().run(options);
     }
 
     /**
-     * Sets the download directory for specified packages.
-     * @param {string} directory - The new absolute download path.
-     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to update.
+     * Changes the download folder of the package.
+     * @param {string} directory - The new download folder.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async setDlLocation(directory, packageIds = []) {
-        const params = [directory, packageIds];
-        return await this.device.action(this.url + "/setDownloadDirectory", params);
+    async setDownloadLocation(directory, options = {}) {
+        const result = await this.controller.setDlLocation(directory, [this.uuid], options);
+        this.saveTo = directory;
+        return result;
     }
+}
 
+/**
+ * @class
+ * @description Base of the Linkgrabber models.
+ */
+class CrawledItem extends ListItem {
     /**
-     * Removes specified links or packages from the download list (moving them to the trash).
-     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to remove.
-     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to remove.
+     * Moves the item to the download list.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
      * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async removeLinks(linkIds = [], packageIds = []) {
-        const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/removeLinks", params);
+    async moveToDownloadList(options = {}) {
+        return await this.controller.moveToDownloadList(...this._ids(), options);
     }
+}
+
+/**
+ * @class
+ * @description A link of the Linkgrabber, see {@link QueryBuilder#asModels}.
+ */
+export class CrawledLink extends CrawledItem {}
 
+/**
+ * @class
+ * @description A package of the Linkgrabber, see {@link QueryBuilder#asModels}.
+ */
+export class CrawledPackage extends CrawledItem {
     /**
-     * Resets the download status of specified links/packages, allowing them to be downloaded again.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to reset.
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to reset.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * @protected
+     * @returns {boolean} True for packages.
      */
-    async resetLinks(linkIds, packageIds) {
-        const params = [linkIds, packageIds];
-        return await this.device.action(this.url + "/resetLinks", params);
+    _isPackage() {
+        return true;
     }
 
     /**
-     * Moves specified links into a brand new package within the download list.
-     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
-     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
-     * @param {string} newPkgName - The name of the new package.
-     * @param {string} downloadPath - The download path for the new package.
-     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     * Queries the links of the package, with every field.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<CrawledLink[]>} A promise that resolves to the links.
      */
-    async moveToNewPackage(linkIds, packageIds, newPkgName, downloadPath) {
-        const params = [linkIds, packageIds, newPkgName, downloadPath];
-        return await this.device.action(this.url + "/movetoNewPackage", params);
+    async links(options = {}) {
+        return await this.controller.links().allFields().inPackages([this.uuid]).asModels().run(options);
     }
 }
 
 /**
  * @class
- * @description Provides methods to handle Captcha challenges requested by hosters.
+ * @description Provides methods to manage the Linkgrabber tab (the area where links are collected and analyzed before being added to the download queue).
  */
-export class Captcha {
+export class Linkgrabber {
     /**
      * @constructor
      * @param {JDDevice} device - The JDDevice instance this controller is bound to.
@@ -1120,320 +1928,2413 @@ export class Captcha {
         /** @type {JDDevice} */
         this.device = device;
         /** @type {string} */
-        this.url = "/captcha";
+        this.url = '/linkgrabberv2';
     }
 
     /**
-     * Lists all pending captcha challenges waiting for a solution.
-     * @returns {Promise<Object[]>} A promise that resolves to an array of captcha objects.
+     * Clears all links and packages from the Linkgrabber list.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async list() {
-        return await this.device.action(this.url + "/list", []);
+    async clearList(options = {}) {
+        return await this.device.action(this.url + "/clearList", [], "POST", options);
     }
 
     /**
-     * Retrieves detailed information, including the image (Base64 encoded), for a specific captcha challenge.
-     * @param {number} captchaId - The ID of the captcha challenge.
-     * @returns {Promise<Object>} A promise that resolves to the detailed captcha object.
+     * Moves specific links and/or packages from the Linkgrabber to the Download List.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async get(captchaId) {
-        return await this.device.action(this.url + "/get", [captchaId]);
+    async moveToDownloadList(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/moveToDownloadlist", params, "POST", options);
     }
 
     /**
-     * Submits a solution for a specific captcha challenge.
-     * @param {number} captchaId - The ID of the captcha challenge.
-     * @param {string} solution - The text solution for the captcha.
-     * @returns {Promise<boolean>} A promise that resolves to true upon successful submission.
+     * Queries specific links within the Linkgrabber packages, optionally filtering the returned data fields.
+     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of link objects.
      */
-    async solve(captchaId, solution) {
-        return await this.device.action(this.url + "/solve", [captchaId, solution]);
+    async queryLinks(params = [{ ...CRAWLED_LINK_QUERY }], options = {}) {
+        return await this.device.action(this.url + "/queryLinks", params, "POST", options);
     }
-}
 
-/**
- * @class
- * @description Provides methods for controlling the reconnection process (used to get a new IP address).
- */
-export class Reconnect {
     /**
-     * @constructor
-     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     * Cleans up the Linkgrabber list based on defined criteria (e.g., removing duplicates, offline links).
+     * @param {string} action - The cleanup action to perform.
+     * @param {string} mode - The cleanup mode.
+     * @param {string} selectionType - Defines if cleanup applies to links, packages, or both.
+     * @param {number[]} [linkIds] - Optional array of specific link UUIDs to target.
+     * @param {number[]} [packageIds] - Optional array of specific package UUIDs to target.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    constructor(device) {
-        /** @type {JDDevice} */
-        this.device = device;
-        /** @type {string} */
-        this.url = "/reconnect";
+    async cleanup(action, mode, selectionType, linkIds = [], packageIds = [], options = {}) {
+        let params = [linkIds, packageIds];
+        params = params.concat([action, mode, selectionType]);
+        return await this.device.action(this.url + "/cleanup", params, "POST", options);
     }
 
     /**
-     * Forces JDownloader to execute the configured reconnection method.
-     * @returns {Promise<boolean>} A promise that resolves to true if the reconnection was initiated.
+     * Adds a link container file (e.g., DLC, CCF, RSDF content as a base64 string) to the Linkgrabber.
+     * @param {string} type_ - The type of container (e.g., 'DLC', 'TEXT').
+     * @param {string} content - The file content (usually Base64 encoded).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async doReconnect() {
-        return await this.device.action(this.url + "/doReconnect");
+    async addContainer(type_, content, options = {}) {
+        const params = [type_, content];
+        return await this.device.action(this.url + "/addContainer", params, "POST", options);
     }
-}
 
-/**
- * @class
- * @description Provides access to the JDownloader GUI toolbar status and controls.
- */
-export class Toolbar {
     /**
-     * @constructor
-     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     * Retrieves the final download URLs for specified links or packages.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {string[]} urlDisplayTypes - The kinds of URL to return (e.g., 'CUSTOM', 'REFERRER', 'ORIGIN', 'CONTAINER', 'CONTENT').
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object<string, number[]>>} A promise that resolves to a map of URLs to the UUIDs of their links.
      */
-    constructor(device) {
-        /** @type {JDDevice} */
-        this.device = device;
-        /** @type {string} */
-        this.url = "/toolbar";
-        /** @type {Object | null} */
-        this.status = null;
+    async getDownloadUrls(linkIds, packageIds, urlDisplayTypes, options = {}) {
+        const params = [linkIds, packageIds, urlDisplayTypes];
+        return await this.device.action(this.url + "/getDownloadUrls", params, "POST", options);
     }
 
     /**
-     * Retrieves the current status of the toolbar elements, including speed limit state.
-     * @param {Object} [params=null] - Optional query parameters.
-     * @returns {Promise<Object>} A promise that resolves to the toolbar status object.
+     * Sets the priority for specified links or packages in the Linkgrabber.
+     * @param {string} priority - The new priority (e.g., 'DEFAULT', 'HIGH', 'LOW').
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async getStatus(params = null) {
-        return await this.device.action(this.url + "/getStatus");
+    async setPriority(priority, linkIds, packageIds, options = {}) {
+        const params = [priority, linkIds, packageIds];
+        return await this.device.action(this.url + "/setPriority", params, "POST", options);
     }
 
     /**
-     * Internal method to determine if the download speed limit is currently active.
-     * @returns {Promise<number>} A promise that resolves to 1 if the limit is enabled, 0 otherwise.
+     * Enables or disables specified links or packages in the Linkgrabber.
+     * @param {boolean} enable - True to enable, false to disable.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
      */
-    async statusDownloadSpeedLimit() {
-        this.status = await this.getStatus();
-        return this.status['limit'] ? 1 : 0;
+    async setEnabled(enable, linkIds, packageIds, options = {}) {
+        const params = [enable, linkIds, packageIds];
+        return await this.device.action(this.url + "/setEnabled", params, "POST", options);
     }
 
     /**
-     * Enables the configured download speed limit.
-     * @returns {Promise<void>}
+     * Retrieves available variants (e.g., different file mirrors or download options) for links/packages.
+     * @param {Object} params - Query parameters to select links/packages.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of link variant objects.
      */
-    async enableDownloadSpeedLimit() {
-        this.limitEnabled = await this.statusDownloadSpeedLimit();
-        if (!this.limitEnabled) {
-            await this.device.action(this.url + "/toggleDownloadSpeedLimit");
-        }
+    async getVariants(params, options = {}) {
+        return await this.device.action(this.url + "/getVariants", params, "POST", options);
     }
 
     /**
-     * Disables the configured download speed limit.
-     * @returns {Promise<void>}
+     * Adds raw links to the Linkgrabber, providing package and configuration details.
+     * @param {Object[]} [params] - An array of link objects containing links, package name, passwords, etc.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
      */
-    async disableDownloadSpeedLimit() {
-        this.limitEnabled = await this.statusDownloadSpeedLimit();
-        if (this.limitEnabled) {
-            await this.device.action(this.url + "/toggleDownloadSpeedLimit");
-        }
+    async addLinks(params = [{ ...ADD_LINKS_QUERY }], options = {}) {
+        return await this.device.action("/linkgrabberv2/addLinks", params, "POST", options);
     }
-}
 
+    /**
+     * Adds links and waits until the crawler job created for them is finished, then returns what it crawled.
+     * Unlike {@link Linkgrabber#isCollecting}, only this job is watched, so other crawls running on the device
+     * do not delay the result.
+     * @example
+     * const { packages, links } = await device.linkgrabber.addLinksAndWait({ links: "https://example.com/file" });
+     * @param {Object} query - Fields of the added links (`links`, `packageName`...), merged over the default
+     * query of {@link Linkgrabber#addLinks}.
+     * @param {Object} [waitOptions] - Wait options, plus per-call options of the requests (see {@link JDDevice#action}).
+     * @param {number} [waitOptions.timeout=60000] - How long to wait for the job, in milliseconds.
+     * @param {number} [waitOptions.interval=1000] - Delay between two polls of the job status, in milliseconds.
+     * @param {boolean} [waitOptions.moveToDownloadList=false] - Whether the crawled links are moved to the download list.
+     * @returns {Promise<{jobId: number, job: Object | null, packages: Object[], links: Object[]}>} A promise that
+     * resolves to the job ID, its last status and the packages and links it crawled.
+     * @throws {MYJDCrawlTimeoutException} If the job is not finished within the timeout.
+     */
+    async addLinksAndWait(query, { timeout = 60000, interval = 1000, moveToDownloadList = false, ...options } = {}) {
+        const { id: jobId } = await this.addLinks([{ ...ADD_LINKS_QUERY, ...query }], options);
+        const result = await this.waitForCrawlerJob(jobId, { timeout: timeout, interval: interval, ...options });
+        if (moveToDownloadList && result.links.length > 0) {
+            await this.moveToDownloadList(result.links.map(link => link.uuid), [], options);
+        }
+        return { jobId: jobId, ...result };
+    }
 
-/**
- * @class
- * @description Represents a single JDownloader client instance (a device) accessible through MyJDownloader.
- * It encapsulates all device-specific API controllers (Accounts, Linkgrabber, etc.) and handles direct vs. remote connection logic.
- */
-export class JDDevice {
     /**
-     * @constructor
-     * @param {MyJDApi} jd - The main MyJDApi instance.
-     * @param {Object} deviceDict - The raw device information object from the MyJDApi `listdevices` response.
+     * Waits until a crawler job (e.g., returned by {@link Linkgrabber#addLinks}) is finished, then returns what it
+     * crawled.
+     * @param {number} jobId - The ID of the crawler job.
+     * @param {Object} [waitOptions] - Wait options, plus per-call options of the requests (see {@link JDDevice#action}).
+     * @param {number} [waitOptions.timeout=60000] - How long to wait for the job, in milliseconds.
+     * @param {number} [waitOptions.interval=1000] - Delay between two polls of the job status, in milliseconds.
+     * @returns {Promise<{job: Object | null, packages: Object[], links: Object[]}>} A promise that resolves to the
+     * last status of the job and the packages and links it crawled.
+     * @throws {MYJDCrawlTimeoutException} If the job is not finished within the timeout (or was never seen and crawled
+     * nothing, as a job dropped from the list before the first poll cannot be told from one not registered yet).
      */
-    constructor(jd, deviceDict) {
+    async waitForCrawlerJob(jobId, { timeout = 60000, interval = 1000, ...options } = {}) {
+        const deadline = Date.now() + timeout;
+        const linkQuery = [{ ...CRAWLED_LINK_QUERY, jobUUIDs: [jobId] }];
+        let job = null;
+        let registered = false;
+        let links = null;
+        for (;;) {
+            const jobs = await this.queryLinkCrawlerJobs([{ collectorInfo: true, jobIds: [jobId] }], options);
+            job = (jobs || []).find(j => j.jobId === jobId) || null;
+            if (job !== null) {
+                registered = true;
+                if (!job.crawling && !job.checking) {
+                    break;
+                }
+            } else if (registered) {
+                break; // Finished jobs may be dropped from the list
+            } else {
+                // Never seen: either not registered yet, or already finished and dropped, leaving its links
+                links = await this.queryLinks(linkQuery, options) || [];
+                if (links.length > 0) {
+                    break;
+                }
+                links = null;
+            }
+            if (Date.now() >= deadline) {
+                throw new MYJDCrawlTimeoutException(jobId, `Crawler job ${jobId} not finished after ${timeout} ms\n`, {
+                    path: this.url + "/queryLinkCrawlerJobs",
+                    deviceId: this.device.deviceId
+                });
+            }
+            await sleep(Math.min(interval, deadline - Date.now()), options.signal);
+        }
+        if (links === null) {
+            links = await this.queryLinks(linkQuery, options) || [];
+        }
+        let packages = [];
+        if (links.length > 0) {
+            // Packages cannot be filtered by job, only by UUID
+            const packageIds = [...new Set(links.map(link => link.packageUUID))];
+            packages = await this.queryPackages([{ ...CRAWLED_PACKAGE_QUERY, packageUUIDs: packageIds }], options) || [];
+        }
+        return { job: job, packages: packages, links: links };
+    }
+
+    /**
+     * Retrieves the status of link crawler jobs (whether they are still crawling or checking, and how many links
+     * they crawled, filtered or broke).
+     * @param {Object[]} [params] - An array holding the query, selecting the jobs by `jobIds` (all of them if null).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of job status objects.
+     */
+    async queryLinkCrawlerJobs(params = [{ collectorInfo: true, jobIds: null }], options = {}) {
+        return await this.device.action(this.url + "/queryLinkCrawlerJobs", params, "POST", options);
+    }
+
+    /**
+     * Checks if the Linkgrabber is currently busy collecting or analyzing links.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true if collecting is in progress.
+     */
+    async isCollecting(options = {}) {
+        return await this.device.action(this.url + "/isCollecting", [], "POST", options);
+    }
+
+    /**
+     * Removes specified links or packages from the Linkgrabber list.
+     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to remove.
+     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to remove.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async removeLinks(linkIds = [], packageIds = [], options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/removeLinks", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the count of packages currently in the Linkgrabber.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the package count.
+     */
+    async getPackageCount(options = {}) {
+        return await this.device.action("/linkgrabberv2/getPackageCount", [], "POST", options);
+    }
+
+    /**
+     * Renames a specific package in the Linkgrabber.
+     * @param {number} packageId - The UUID of the package to rename.
+     * @param {string} newName - The new name for the package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async renamePackage(packageId, newName, options = {}) {
+        const params = [packageId, newName];
+        return await this.device.action(this.url + "/renamePackage", params, "POST", options);
+    }
+
+    /**
+     * Queries packages in the Linkgrabber, optionally filtering the returned data fields.
+     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of package objects.
+     */
+    async queryPackages(params = [{ ...CRAWLED_PACKAGE_QUERY }], options = {}) {
+        return await this.device.action(this.url + "/queryPackages", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the structure change counter of the Linkgrabber, which changes whenever packages or links
+     * are added, removed or moved.
+     * @param {number} [oldCounterValue=-1] - The last known counter value.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the current counter value.
+     */
+    async getStructureChangeCounter(oldCounterValue = -1, options = {}) {
+        return await this.device.action(this.url + "/getStructureChangeCounter", [oldCounterValue], "POST", options);
+    }
+
+    /**
+     * Iterates over the links of the Linkgrabber page by page, to be consumed with `for await`. Items moving while
+     * the pages are read are neither skipped nor repeated, see {@link paginate}.
+     * @example
+     * for await (const link of device.linkgrabber.iterateLinks({ packageUUIDs: [uuid] }, { pageSize: 200 })) { ... }
+     * @param {Object} [query={}] - Query fields, merged over the default query of {@link Linkgrabber#queryLinks}.
+     * @param {Object} [paging] - Paging options, plus per-call options of the queries (see {@link JDDevice#action}).
+     * @param {number} [paging.pageSize=500] - The number of links requested per page.
+     * @param {number} [paging.overlap] - The number of links of the previous page requested again, a tenth of
+     * the page by default.
+     * @returns {AsyncGenerator<Object>} The links.
+     */
+    async *iterateLinks(query = {}, { pageSize = 500, overlap = Math.floor(pageSize / 10), ...options } = {}) {
+        const queryPage = (params, opts) => this.queryLinks(params, opts);
+        yield* paginate(queryPage, { ...CRAWLED_LINK_QUERY, ...query }, { pageSize: pageSize, overlap: overlap }, options);
+    }
+
+    /**
+     * Iterates over the packages of the Linkgrabber page by page, to be consumed with `for await`.
+     * See {@link Linkgrabber#iterateLinks}.
+     * @param {Object} [query={}] - Query fields, merged over the default query of {@link Linkgrabber#queryPackages}.
+     * @param {Object} [paging] - Paging options, plus per-call options of the queries (see {@link JDDevice#action}).
+     * @param {number} [paging.pageSize=500] - The number of packages requested per page.
+     * @param {number} [paging.overlap] - The number of packages of the previous page requested again, a tenth of
+     * the page by default.
+     * @returns {AsyncGenerator<Object>} The packages.
+     */
+    async *iteratePackages(query = {}, { pageSize = 500, overlap = Math.floor(pageSize / 10), ...options } = {}) {
+        const queryPage = (params, opts) => this.queryPackages(params, opts);
+        yield* paginate(queryPage, { ...CRAWLED_PACKAGE_QUERY, ...query }, { pageSize: pageSize, overlap: overlap }, options);
+    }
+
+    /**
+     * Starts a query of the links of the Linkgrabber, see {@link QueryBuilder}.
+     * @returns {QueryBuilder} The query builder.
+     */
+    links() {
+        return new QueryBuilder(this, "queryLinks");
+    }
+
+    /**
+     * Starts a query of the packages of the Linkgrabber, see {@link QueryBuilder}.
+     * @returns {QueryBuilder} The query builder.
+     */
+    packages() {
+        return new QueryBuilder(this, "queryPackages");
+    }
+
+    /**
+     * Renames a specific link within a package.
+     * @param {number} linkId - The UUID of the link to rename.
+     * @param {string} newName - The new name for the link.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async renameLink(linkId, newName, options = {}) {
+        const params = [linkId, newName];
+        return await this.device.action(this.url + "/renameLink", params, "POST", options);
+    }
+
+    /**
+     * Moves specified links into a brand new package with a defined name and path.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
+     * @param {string} newPkgName - The name of the new package.
+     * @param {string} downloadPath - The download path for the new package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async moveToNewPackage(linkIds, packageIds, newPkgName, downloadPath, options = {}) {
+        const params = [linkIds, packageIds, newPkgName, downloadPath];
+        return await this.device.action(this.url + "/movetoNewPackage", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the API help documentation for the Linkgrabber V2 interface.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the help documentation object.
+     */
+    async help(options = {}) {
+        return await this.device.action("/linkgrabberv2/help", [], "GET", options);
+    }
+
+    /**
+     * Retrieves the structure watermark of the Linkgrabber children, to detect changes since a known value.
+     * @param {number} structureWatermark - The last known watermark.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the current watermark.
+     */
+    async getChildrenChanged(structureWatermark, options = {}) {
+        const params = [structureWatermark];
+        return await this.device.action(this.url + "/getChildrenChanged", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the download folder history offered when choosing a destination.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<string[]>} A promise that resolves to the folder paths.
+     */
+    async getDownFolderHistorySelectBase(options = {}) {
+        return await this.device.action(this.url + "/getDownloadFolderHistorySelectionBase", [], "POST", options);
+    }
+
+    /**
+     * Moves links after another link, in the same or in another package.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
+     * @param {number} afterLinkId - The UUID of the link to place them after (-1 or null for the top of the package).
+     * @param {number} destPackageId - The UUID of the destination package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async moveLinks(linkIds, afterLinkId, destPackageId, options = {}) {
+        const params = [linkIds, afterLinkId, destPackageId];
+        return await this.device.action(this.url + "/moveLinks", params, "POST", options);
+    }
+
+    /**
+     * Moves packages after another package.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
+     * @param {number} afterDestPackageId - The UUID of the package to place them after (-1 or null for the top of the list).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async movePackages(packageIds, afterDestPackageId, options = {}) {
+        const params = [packageIds, afterDestPackageId];
+        return await this.device.action(this.url + "/movePackages", params, "POST", options);
+    }
+
+    /**
+     * Selects the variant of a link (e.g., another video quality), see {@link Linkgrabber#getVariants}.
+     * @param {number} linkId - The UUID of the link.
+     * @param {string} variantId - The ID of the variant.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setVariant(linkId, variantId, options = {}) {
+        const params = [linkId, variantId];
+        return await this.device.action(this.url + "/setVariant", params, "POST", options);
+    }
+
+    /**
+     * Applies a variant policy to the crawled links offering variants: each one is switched to the variant chosen by
+     * `policy.select`, and the variants chosen by `policy.copies` are added next to it. Links without a matching
+     * variant are left as they are. A link following another one with the same URL in the same package is taken for
+     * a variant copy: the policy is not applied to it, and copies already present are not added again, so that the
+     * policy can be applied again.
+     * @example
+     * await device.linkgrabber.applyVariantPolicy({
+     *     select: { audioOnly: false, maxResolution: 1080, containers: ["MP4", "WEBM"] },
+     *     copies: [{ audioOnly: true, containers: ["M4A"] }]
+     * });
+     * @param {VariantPolicy} policy - The policy.
+     * @param {Object} [selection] - Links to apply the policy to (all of them by default), plus per-call options of
+     * the requests (see {@link JDDevice#action}).
+     * @param {number[]} [selection.linkIds] - Array of link UUIDs (as numbers). The query cannot filter links by UUID:
+     * the links of the packages are queried, and only these ones get their variants fetched.
+     * @param {number[]} [selection.packageIds] - Array of package UUIDs (as numbers).
+     * @returns {Promise<{linkId: number, variant: Object | null, copies: Object[]}[]>} A promise that resolves to the
+     * changes made per link: the variant switched to (null if unchanged) and the variants copied.
+     */
+    async applyVariantPolicy(policy, { linkIds = null, packageIds = [], ...options } = {}) {
+        const links = await this.queryLinks([{ ...CRAWLED_LINK_QUERY, packageUUIDs: packageIds }], options) || [];
+        // Links sharing a URL within a package: the first one is the source, the next ones its variant copies
+        const groups = new Map();
+        for (const link of links) {
+            const key = link["packageUUID"] + " " + link["url"];
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(link);
+        }
+        const sources = [...groups.values()]
+            .map(group => group[0])
+            .filter(link => link["variants"] && (linkIds === null || linkIds.includes(link["uuid"])));
+        const changes = [];
+        for (const link of sources) {
+            const copies = groups.get(link["packageUUID"] + " " + link["url"]).slice(1);
+            const variants = await this.getVariants([link["uuid"]], options) || [];
+            const change = { linkId: link["uuid"], variant: null, copies: [] };
+            let current = link["variantID"];
+            const selected = policy.select ? pickVariant(variants, policy.select) : null;
+            if (selected && selected["id"] !== current) {
+                await this.setVariant(link["uuid"], selected["id"], options);
+                change.variant = selected;
+                current = selected["id"];
+            }
+            for (const rule of policy.copies || []) {
+                const copy = pickVariant(variants, rule);
+                const present = copy && (copy["id"] === current || copies.some(other => other["variantID"] === copy["id"]));
+                if (copy && !present && !change.copies.includes(copy)) {
+                    await this.addVariantCopy(link["uuid"], link["uuid"], link["packageUUID"], copy["id"], options);
+                    change.copies.push(copy);
+                }
+            }
+            if (change.variant || change.copies.length > 0) {
+                changes.push(change);
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Adds a copy of a link with another variant (e.g., the audio track next to the video).
+     * @param {number} linkId - The UUID of the link to copy.
+     * @param {number} destinationAfterLinkId - The UUID of the link to place the copy after.
+     * @param {number} destinationPackageId - The UUID of the package receiving the copy.
+     * @param {string} variantId - The ID of the variant of the copy.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async addVariantCopy(linkId, destinationAfterLinkId, destinationPackageId, variantId, options = {}) {
+        const params = [linkId, destinationAfterLinkId, destinationPackageId, variantId];
+        return await this.device.action(this.url + "/addVariantCopy", params, "POST", options);
+    }
+
+    /**
+     * Sets the download directory of packages in the Linkgrabber.
+     * @param {string} directory - The download directory.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setDownloadDirectory(directory, packageIds, options = {}) {
+        const params = [directory, packageIds];
+        return await this.device.action(this.url + "/setDownloadDirectory", params, "POST", options);
+    }
+
+    /**
+     * Sets the comment of links and/or packages in the Linkgrabber.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {boolean} setPackageChildren - Whether the links of the packages get the comment too.
+     * @param {string} comment - The comment.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setComment(linkIds, packageIds, setPackageChildren, comment, options = {}) {
+        const params = [linkIds, packageIds, setPackageChildren, comment];
+        return await this.device.action(this.url + "/setComment", params, "POST", options);
+    }
+
+    /**
+     * Splits packages into one package per hoster.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async splitPackageByHoster(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/splitPackageByHoster", params, "POST", options);
+    }
+
+    /**
+     * Starts checking again whether links are online.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async startOnlineStatusCheck(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/startOnlineStatusCheck", params, "POST", options);
+    }
+}
+
+/**
+ * @class
+ * @description Provides methods to manage the Downloads tab (the main download queue).
+ */
+export class Downloads {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     */
+    constructor(device) {
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.url = "/downloadsV2";
+    }
+
+    /**
+     * Queries links within the download packages, optionally filtering the returned data fields.
+     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of link objects in the download queue.
+     */
+    async queryLinks(params = [{ ...DOWNLOAD_LINK_QUERY }], options = {}) {
+        return await this.device.action(this.url + "/queryLinks", params, "POST", options);
+    }
+
+    /**
+     * Queries packages in the download list, optionally filtering the returned data fields.
+     * @param {Object[]} [params] - An array of query objects defining what data fields to retrieve.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of package objects in the download queue.
+     */
+    async queryPackages(params = [{ ...DOWNLOAD_PACKAGE_QUERY }], options = {}) {
+        return await this.device.action(this.url + "/queryPackages", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the structure change counter of the download list, which changes whenever packages or links
+     * are added, removed or moved.
+     * @param {number} [oldCounterValue=-1] - The last known counter value.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the current counter value.
+     */
+    async getStructureChangeCounter(oldCounterValue = -1, options = {}) {
+        return await this.device.action(this.url + "/getStructureChangeCounter", [oldCounterValue], "POST", options);
+    }
+
+    /**
+     * Iterates over the links of the download list page by page, to be consumed with `for await`. Items moving while
+     * the pages are read are neither skipped nor repeated, see {@link paginate}.
+     * @example
+     * for await (const link of device.downloads.iterateLinks({ packageUUIDs: [uuid] }, { pageSize: 200 })) { ... }
+     * @param {Object} [query={}] - Query fields, merged over the default query of {@link Downloads#queryLinks}.
+     * @param {Object} [paging] - Paging options, plus per-call options of the queries (see {@link JDDevice#action}).
+     * @param {number} [paging.pageSize=500] - The number of links requested per page.
+     * @param {number} [paging.overlap] - The number of links of the previous page requested again, a tenth of
+     * the page by default.
+     * @returns {AsyncGenerator<Object>} The links.
+     */
+    async *iterateLinks(query = {}, { pageSize = 500, overlap = Math.floor(pageSize / 10), ...options } = {}) {
+        const queryPage = (params, opts) => this.queryLinks(params, opts);
+        yield* paginate(queryPage, { ...DOWNLOAD_LINK_QUERY, ...query }, { pageSize: pageSize, overlap: overlap }, options);
+    }
+
+    /**
+     * Iterates over the packages of the download list page by page, to be consumed with `for await`.
+     * See {@link Downloads#iterateLinks}.
+     * @param {Object} [query={}] - Query fields, merged over the default query of {@link Downloads#queryPackages}.
+     * @param {Object} [paging] - Paging options, plus per-call options of the queries (see {@link JDDevice#action}).
+     * @param {number} [paging.pageSize=500] - The number of packages requested per page.
+     * @param {number} [paging.overlap] - The number of packages of the previous page requested again, a tenth of
+     * the page by default.
+     * @returns {AsyncGenerator<Object>} The packages.
+     */
+    async *iteratePackages(query = {}, { pageSize = 500, overlap = Math.floor(pageSize / 10), ...options } = {}) {
+        const queryPage = (params, opts) => this.queryPackages(params, opts);
+        yield* paginate(queryPage, { ...DOWNLOAD_PACKAGE_QUERY, ...query }, { pageSize: pageSize, overlap: overlap }, options);
+    }
+
+    /**
+     * Starts a query of the links of the download list, see {@link QueryBuilder}.
+     * @returns {QueryBuilder} The query builder.
+     */
+    links() {
+        return new QueryBuilder(this, "queryLinks");
+    }
+
+    /**
+     * Starts a query of the packages of the download list, see {@link QueryBuilder}.
+     * @returns {QueryBuilder} The query builder.
+     */
+    packages() {
+        return new QueryBuilder(this, "queryPackages");
+    }
+
+    /**
+     * Cleans up the Download list based on defined criteria (e.g., removing completed, failed, or offline links).
+     * @param {string} action - The cleanup action to perform.
+     * @param {string} mode - The cleanup mode.
+     * @param {string} selectionType - Defines if cleanup applies to links, packages, or both.
+     * @param {number[]} [linkIds] - Optional array of specific link UUIDs to target.
+     * @param {number[]} [packageIds] - Optional array of specific package UUIDs to target.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async cleanup(action, mode, selectionType, linkIds = [], packageIds = [], options = {}) {
+        let params = [linkIds, packageIds];
+        params = params.concat([action, mode, selectionType]);
+        return await this.device.action(this.url + "/cleanup", params, "POST", options);
+    }
+
+    /**
+     * Enables or disables specified links or packages in the download list.
+     * @param {boolean} enable - True to enable, false to disable.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setEnabled(enable, linkIds, packageIds, options = {}) {
+        const params = [enable, linkIds, packageIds];
+        return await this.device.action(this.url + "/setEnabled", params, "POST", options);
+    }
+
+    /**
+     * Forces the download of specific links or packages, interrupting the current queue order.
+     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to force download.
+     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to force download.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async forceDownload(linkIds = [], packageIds = [], options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/forceDownload", params, "POST", options);
+    }
+
+    /**
+     * Sets the download directory for specified packages.
+     * @param {string} directory - The new absolute download path.
+     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to update.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setDlLocation(directory, packageIds = [], options = {}) {
+        const params = [directory, packageIds];
+        return await this.device.action(this.url + "/setDownloadDirectory", params, "POST", options);
+    }
+
+    /**
+     * Removes specified links or packages from the download list (moving them to the trash).
+     * @param {number[]} [linkIds] - Array of link UUIDs (as numbers) to remove.
+     * @param {number[]} [packageIds] - Array of package UUIDs (as numbers) to remove.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async removeLinks(linkIds = [], packageIds = [], options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/removeLinks", params, "POST", options);
+    }
+
+    /**
+     * Resets the download status of specified links/packages, allowing them to be downloaded again.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to reset.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to reset.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async resetLinks(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/resetLinks", params, "POST", options);
+    }
+
+    /**
+     * Moves specified links into a brand new package within the download list.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
+     * @param {string} newPkgName - The name of the new package.
+     * @param {string} downloadPath - The download path for the new package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async moveToNewPackage(linkIds, packageIds, newPkgName, downloadPath, options = {}) {
+        const params = [linkIds, packageIds, newPkgName, downloadPath];
+        return await this.device.action(this.url + "/movetoNewPackage", params, "POST", options);
+    }
+
+    /**
+     * Renames a specific package in the download list.
+     * @param {number} packageId - The UUID of the package to rename.
+     * @param {string} newName - The new name for the package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async renamePackage(packageId, newName, options = {}) {
+        const params = [packageId, newName];
+        return await this.device.action(this.url + "/renamePackage", params, "POST", options);
+    }
+
+    /**
+     * Renames a specific link in the download list.
+     * @param {number} linkId - The UUID of the link to rename.
+     * @param {string} newName - The new name for the link.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async renameLink(linkId, newName, options = {}) {
+        const params = [linkId, newName];
+        return await this.device.action(this.url + "/renameLink", params, "POST", options);
+    }
+
+    /**
+     * Sets the priority for specified links or packages in the download list.
+     * @param {string} priority - The new priority (e.g., 'DEFAULT', 'HIGH', 'LOW').
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async setPriority(priority, linkIds, packageIds, options = {}) {
+        const params = [priority, linkIds, packageIds];
+        return await this.device.action(this.url + "/setPriority", params, "POST", options);
+    }
+
+    /**
+     * Moves links after another link, in the same or in another package of the download list.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers) to move.
+     * @param {number} afterLinkId - The UUID of the link to place them after (-1 or null for the top of the package).
+     * @param {number} destPackageId - The UUID of the destination package.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async moveLinks(linkIds, afterLinkId, destPackageId, options = {}) {
+        const params = [linkIds, afterLinkId, destPackageId];
+        return await this.device.action(this.url + "/moveLinks", params, "POST", options);
+    }
+
+    /**
+     * Moves packages after another package of the download list.
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers) to move.
+     * @param {number} afterDestPackageId - The UUID of the package to place them after (-1 or null for the top of the list).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async movePackages(packageIds, afterDestPackageId, options = {}) {
+        const params = [packageIds, afterDestPackageId];
+        return await this.device.action(this.url + "/movePackages", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the URLs of specified links or packages in the download list.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {string[]} urlDisplayTypes - The kinds of URL to return (e.g., 'CUSTOM', 'REFERRER', 'ORIGIN', 'CONTAINER', 'CONTENT').
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object<string, number[]>>} A promise that resolves to a map of URLs to the UUIDs of their links.
+     */
+    async getDownloadUrls(linkIds, packageIds, urlDisplayTypes, options = {}) {
+        const params = [linkIds, packageIds, urlDisplayTypes];
+        return await this.device.action(this.url + "/getDownloadUrls", params, "POST", options);
+    }
+
+    /**
+     * Sets the stop mark, after which JDownloader stops downloading. Pass a link or a package, the other one as -1.
+     * @param {number} linkId - The UUID of the link carrying the stop mark.
+     * @param {number} packageId - The UUID of the package carrying the stop mark.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<void>}
+     */
+    async setStopMark(linkId, packageId, options = {}) {
+        const params = [linkId, packageId];
+        return await this.device.action(this.url + "/setStopMark", params, "POST", options);
+    }
+
+    /**
+     * Retrieves the stop mark.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the UUID of the stop-marked link or package, -1 if none.
+     */
+    async getStopMark(options = {}) {
+        return await this.device.action(this.url + "/getStopMark", [], "POST", options);
+    }
+
+    /**
+     * Removes the stop mark.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<void>}
+     */
+    async removeStopMark(options = {}) {
+        return await this.device.action(this.url + "/removeStopMark", [], "POST", options);
+    }
+
+    /**
+     * Retrieves the count of packages currently in the download list.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to the package count.
+     */
+    async packageCount(options = {}) {
+        return await this.device.action(this.url + "/packageCount", [], "POST", options);
+    }
+
+    /**
+     * Starts checking again whether links of the download list are online.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async startOnlineStatusCheck(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/startOnlineStatusCheck", params, "POST", options);
+    }
+
+    /**
+     * Unskips skipped links, optionally only those skipped for a given reason.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {string} [filterByReason=null] - The skip reason to unskip (e.g., 'CONNECTION_UNAVAILABLE',
+     * 'TOO_MANY_RETRIES', 'CAPTCHA', 'MANUAL', 'DISK_FULL', 'NO_ACCOUNT', 'INVALID_DESTINATION', 'FILE_EXISTS',
+     * 'UPDATE_RESTART_REQUIRED', 'FFMPEG_MISSING', 'FFPROBE_MISSING'), or null for every reason.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async unskip(linkIds, packageIds, filterByReason = null, options = {}) {
+        const params = [packageIds, linkIds, filterByReason];
+        return await this.device.action(this.url + "/unskip", params, "POST", options);
+    }
+
+    /**
+     * Resumes specified links or packages that were stopped or failed.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async resumeLinks(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/resumeLinks", params, "POST", options);
+    }
+
+    /**
+     * Splits packages of the download list into one package per hoster.
+     * @param {number[]} linkIds - Array of link UUIDs (as numbers).
+     * @param {number[]} packageIds - Array of package UUIDs (as numbers).
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon success.
+     */
+    async splitPackageByHoster(linkIds, packageIds, options = {}) {
+        const params = [linkIds, packageIds];
+        return await this.device.action(this.url + "/splitPackageByHoster", params, "POST", options);
+    }
+}
+
+/**
+ * @class
+ * @description Provides methods to handle Captcha challenges requested by hosters.
+ */
+export class Captcha {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     */
+    constructor(device) {
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.url = "/captcha";
+    }
+
+    /**
+     * Lists all pending captcha challenges waiting for a solution.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to an array of captcha objects.
+     */
+    async list(options = {}) {
+        return await this.device.action(this.url + "/list", [], "POST", options);
+    }
+
+    /**
+     * Retrieves detailed information, including the image (Base64 encoded), for a specific captcha challenge.
+     * @param {number} captchaId - The ID of the captcha challenge.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the detailed captcha object.
+     */
+    async get(captchaId, options = {}) {
+        return await this.device.action(this.url + "/get", [captchaId], "POST", options);
+    }
+
+    /**
+     * Submits a solution for a specific captcha challenge.
+     * @param {number} captchaId - The ID of the captcha challenge.
+     * @param {string} solution - The text solution for the captcha.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true upon successful submission.
+     */
+    async solve(captchaId, solution, options = {}) {
+        return await this.device.action(this.url + "/solve", [captchaId, solution], "POST", options);
+    }
+}
+
+/**
+ * @class
+ * @description Provides methods for controlling the reconnection process (used to get a new IP address).
+ */
+export class Reconnect {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     */
+    constructor(device) {
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.url = "/reconnect";
+    }
+
+    /**
+     * Forces JDownloader to execute the configured reconnection method.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<boolean>} A promise that resolves to true if the reconnection was initiated.
+     */
+    async doReconnect(options = {}) {
+        return await this.device.action(this.url + "/doReconnect", [], "POST", options);
+    }
+}
+
+/**
+ * @class
+ * @description Provides access to the JDownloader GUI toolbar status and controls.
+ */
+export class Toolbar {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     */
+    constructor(device) {
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.url = "/toolbar";
+        /** @type {Object | null} */
+        this.status = null;
+    }
+
+    /**
+     * Retrieves the current status of the toolbar elements, including speed limit state.
+     * @param {Object} [params=null] - Optional query parameters.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the toolbar status object.
+     */
+    async getStatus(params = null, options = {}) {
+        return await this.device.action(this.url + "/getStatus", [], "POST", options);
+    }
+
+    /**
+     * Internal method to determine if the download speed limit is currently active.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<number>} A promise that resolves to 1 if the limit is enabled, 0 otherwise.
+     */
+    async statusDownloadSpeedLimit(options = {}) {
+        this.status = await this.getStatus(null, options);
+        return this.status['limit'] ? 1 : 0;
+    }
+
+    /**
+     * Enables the configured download speed limit.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<void>}
+     */
+    async enableDownloadSpeedLimit(options = {}) {
+        this.limitEnabled = await this.statusDownloadSpeedLimit(options);
+        if (!this.limitEnabled) {
+            await this.device.action(this.url + "/toggleDownloadSpeedLimit", [], "POST", options);
+        }
+    }
+
+    /**
+     * Disables the configured download speed limit.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<void>}
+     */
+    async disableDownloadSpeedLimit(options = {}) {
+        this.limitEnabled = await this.statusDownloadSpeedLimit(options);
+        if (this.limitEnabled) {
+            await this.device.action(this.url + "/toggleDownloadSpeedLimit", [], "POST", options);
+        }
+    }
+}
+
+
+/**
+ * @class
+ * @description Subscribes to the events published by the device (download progress, Linkgrabber changes...).
+ * The controller keeps the subscription ID, so a single subscription is active per device at a time.
+ * Subscription patterns are regular expressions matched against `<publisher>.<eventid>`, see {@link Events#listPublisher}.
+ */
+export class Events {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The JDDevice instance this controller is bound to.
+     */
+    constructor(device) {
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.url = "/events";
+        /** @type {number | null} */
+        this.subscriptionId = null;
+        /** @type {string[]} */
+        this._subscriptions = [];
+        /** @type {string[]} */
+        this._exclusions = [];
+        /** @type {string | null} */
+        this._sessionToken = null;
+    }
+
+    /**
+     * Subscribes to the events matching the patterns, replacing the current subscription ID.
+     * @param {string[]} [subscriptions=[".*"]] - Patterns of the events to receive.
+     * @param {string[]} [exclusions=[]] - Patterns of the events to leave out.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the subscription (subscriptionid, subscriptions,
+     * exclusions, maxPolltimeout, maxKeepalive).
+     */
+    async subscribe(subscriptions = [".*"], exclusions = [], options = {}) {
+        const response = await this.device.action(this.url + "/subscribe", [subscriptions, exclusions], "POST", options);
+        this.subscriptionId = response["subscriptionid"];
+        this._subscriptions = subscriptions;
+        this._exclusions = exclusions;
+        this._sessionToken = this.device.myJD.getSessionToken();
+        return response;
+    }
+
+    /**
+     * Replaces the patterns of the current subscription.
+     * @param {string[]} subscriptions - Patterns of the events to receive.
+     * @param {string[]} [exclusions=[]] - Patterns of the events to leave out.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the updated subscription.
+     * @throws {MYJDException} If there is no subscription.
+     */
+    async setSubscription(subscriptions, exclusions = [], options = {}) {
+        const params = [this._requireSubscription(), subscriptions, exclusions];
+        const response = await this.device.action(this.url + "/setsubscription", params, "POST", options);
+        this._subscriptions = subscriptions;
+        this._exclusions = exclusions;
+        return response;
+    }
+
+    /**
+     * Retrieves the current subscription.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the subscription.
+     * @throws {MYJDException} If there is no subscription.
+     */
+    async getSubscription(options = {}) {
+        return await this.device.action(this.url + "/getsubscription", [this._requireSubscription()], "POST", options);
+    }
+
+    /**
+     * Changes how long a listen request waits for events, and how long the subscription survives without
+     * being listened to.
+     * @param {number} pollTimeout - The listen timeout in milliseconds.
+     * @param {number} maxKeepalive - The subscription keep-alive in milliseconds.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object>} A promise that resolves to the updated subscription.
+     * @throws {MYJDException} If there is no subscription.
+     */
+    async changeSubscriptionTimeouts(pollTimeout, maxKeepalive, options = {}) {
+        const params = [this._requireSubscription(), pollTimeout, maxKeepalive];
+        return await this.device.action(this.url + "/changesubscriptiontimeouts", params, "POST", options);
+    }
+
+    /**
+     * Waits for the next events of the current subscription (long polling), which also keeps it alive.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}. The timeout must exceed the
+     * poll timeout of the subscription.
+     * @returns {Promise<Object[]>} A promise that resolves to the events (publisher, eventid, eventData), empty if
+     * none happened before the poll timeout.
+     * @throws {MYJDException} If there is no subscription.
+     */
+    async listen(options = {}) {
+        const events = await this.device.action(this.url + "/listen", [this._requireSubscription()], "POST", options);
+        return events || [];
+    }
+
+    /**
+     * Ends the current subscription.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object | null>} A promise that resolves to the ended subscription, or null if there was none.
+     */
+    async unsubscribe(options = {}) {
+        if (this.subscriptionId === null) {
+            return null;
+        }
+        const subscriptionId = this.subscriptionId;
+        this.subscriptionId = null;
+        return await this.device.action(this.url + "/unsubscribe", [subscriptionId], "POST", options);
+    }
+
+    /**
+     * Lists the event publishers of the device and their event IDs.
+     * @param {ActionOptions} [options] - Per-call options, see {@link JDDevice#action}.
+     * @returns {Promise<Object[]>} A promise that resolves to the publishers (publisher, eventids).
+     */
+    async listPublisher(options = {}) {
+        return await this.device.action(this.url + "/listpublisher", [], "POST", options);
+    }
+
+    /**
+     * Streams the events matching the patterns, to be consumed with `for await`. The subscription is created
+     * when the iteration starts, renewed when the session changes or when the device forgets it, and ended when
+     * the iteration stops (`break`, `return` or an error).
+     * @example
+     * for await (const event of device.events.stream({ subscriptions: ["downloads\\..*"] })) {
+     *     console.log(event.publisher, event.eventid, event.eventData);
+     * }
+     * @param {Object} [streamOptions] - Stream options.
+     * @param {string[]} [streamOptions.subscriptions=[".*"]] - Patterns of the events to receive.
+     * @param {string[]} [streamOptions.exclusions=[]] - Patterns of the events to leave out.
+     * @param {number} [streamOptions.pollTimeout=25000] - How long each listen request waits for events, in milliseconds.
+     * @param {number} [streamOptions.maxKeepalive=60000] - How long the subscription survives between two listen
+     * requests, in milliseconds.
+     * @param {AbortSignal} [streamOptions.signal] - Ends the stream once aborted.
+     * @returns {AsyncGenerator<Object>} The events (publisher, eventid, eventData).
+     */
+    async *stream({ subscriptions = [".*"], exclusions = [], pollTimeout = 25000, maxKeepalive = 60000, signal } = {}) {
+        const subscribe = async () => {
+            await this.subscribe(subscriptions, exclusions, { signal: signal });
+            await this.changeSubscriptionTimeouts(pollTimeout, maxKeepalive, { signal: signal });
+        };
+        // Leave the device the whole poll timeout to answer
+        const listenOptions = { signal: signal, timeout: pollTimeout + 5000 };
+
+        try {
+            // Inside the try: a subscription made before a failing timeouts change is still removed
+            await subscribe();
+            while (!(signal && signal.aborted)) {
+                // Subscriptions do not survive a session renewal
+                if (this._sessionToken !== this.device.myJD.getSessionToken()) {
+                    await subscribe();
+                }
+                let events;
+                try {
+                    events = await this.listen(listenOptions);
+                } catch (e) {
+                    if (signal && signal.aborted) return;
+                    if (!(e instanceof MYJDApiException)) throw e;
+                    // The device forgot the subscription (e.g., session renewed, keep-alive expired): subscribe again once
+                    await subscribe();
+                    events = await this.listen(listenOptions);
+                }
+                for (const event of events) {
+                    yield event;
+                }
+            }
+        } finally {
+            // Best effort: the device drops the subscription after the keep-alive anyway
+            await this.unsubscribe({ retry: false }).catch(() => {});
+        }
+    }
+
+    /**
+     * Returns the current subscription ID.
+     * @private
+     * @returns {number} The subscription ID.
+     * @throws {MYJDException} If there is no subscription.
+     */
+    _requireSubscription() {
+        if (this.subscriptionId === null) {
+            throw new MYJDException("No event subscription, call subscribe() first\n");
+        }
+        return this.subscriptionId;
+    }
+}
+
+/**
+ * @class
+ * @description Represents a single JDownloader client instance (a device) accessible through MyJDownloader.
+ * It encapsulates all device-specific API controllers (Accounts, Linkgrabber, etc.) and handles direct vs. remote connection logic.
+ */
+export class JDDevice {
+    /**
+     * @constructor
+     * @param {MyJDApi} jd - The main MyJDApi instance.
+     * @param {Object} deviceDict - The raw device information object from the MyJDApi `listdevices` response.
+     */
+    constructor(jd, deviceDict) {
         /** @type {string} */
         this.name = deviceDict["name"];
         /** @type {string} */
         this.deviceId = deviceDict["id"];
         /** @type {string} */
-        this.deviceType = deviceDict["type"];
-        /** @type {MyJDApi} */
-        this.myJD = jd;
+        this.deviceType = deviceDict["type"];
+        /** @type {MyJDApi} */
+        this.myJD = jd;
+
+        // Initialize controllers
+        /** @type {Accounts} */
+        this.accounts = new Accounts(this);
+        /** @type {Config} */
+        this.config = new Config(this);
+        /** @type {Linkgrabber} */
+        this.linkgrabber = new Linkgrabber(this);
+        /** @type {Captcha} */
+        this.captcha = new Captcha(this);
+        /** @type {Downloads} */
+        this.downloads = new Downloads(this);
+        /** @type {Toolbar} */
+        this.toolbar = new Toolbar(this);
+        /** @type {DownloadController} */
+        this.downloadcontroller = new DownloadController(this);
+        /** @type {Extension} */
+        this.extensions = new Extension(this);
+        /** @type {Dialog} */
+        this.dialogs = new Dialog(this);
+        /** @type {Reconnect} */
+        this.reconnect = new Reconnect(this);
+        /** @type {Update} */
+        this.update = new Update(this);
+        /** @type {System} */
+        this.system = new System(this);
+        /** @type {Events} */
+        this.events = new Events(this);
+        /** @type {Object<string, ListMirror>} */
+        this._mirrors = {};
+        /** @type {Object[] | null} */
+        this._directConnectionInfo = null;
+        /** @type {Object[]} */
+        this._manualDirectConnections = [];
+        /** @type {string | null} */
+        this._pinnedDirectConnection = null;
+        /** @type {Object | null} */
+        this._directConnection = null;
+        /** @type {Promise<Object | null> | null} */
+        this._directConnectionProbe = null;
+        /** @type {boolean} */
+        this._directConnectionEnabled = true;
+        /** @type {number} */
+        this._directConnectionCooldown = 0;
+        /** @type {number} */
+        this._directConnectionConsecutiveFailures = 0;
+        /** @type {Object} */
+        this._connectionPolicy = {};
+        /** @type {('direct' | 'cloud' | 'remoteapi' | null)} */
+        this._lastRoute = null;
+        
+        // Init async background refresh (best effort: a stale or expired session is dealt with by the next action)
+        this._refreshDirectConnections().catch(() => {});
+    }
+
+    /**
+     * Retrieves the current direct connection details (IP, port) from the MyJDownloader server.
+     * This is crucial for attempting local/direct communication instead of routing everything through the MyJDownloader cloud.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _refreshDirectConnections() {
+        if (this.myJD.getConnectionType() === "remoteapi") {
+            return;
+        }
+        let response;
+        try {
+            response = await this.myJD.requestApi("/device/getDirectConnectionInfos",
+                "POST", null, this._actionUrl(), null, { deviceId: this.deviceId });
+        } catch (e) {
+            // Direct connection infos are optional, the cloud route keeps working without them
+            if (e instanceof MYJDNetworkException) return;
+            throw e;
+        }
+        
+        if (response && response['data'] && response['data']['infos'] && response['data']['infos'].length !== 0) {
+            this._updateDirectConnections(response['data']['infos']);
+        }
+    }
+
+    /**
+     * Updates the internal list of direct connection information, managing cooldown status.
+     * @private
+     * @param {Object[]} directInfo - New list of direct connection objects.
+     * @returns {void}
+     */
+    _updateDirectConnections(directInfo) {
+        let tmp = [];
+        if (this._directConnectionInfo === null) {
+            for (const conn of directInfo) {
+                tmp.push({'conn': conn, 'cooldown': 0, 'latency': null});
+            }
+            this._directConnectionInfo = tmp;
+            return;
+        }
+
+        this._directConnectionInfo = this._directConnectionInfo.filter(i => {
+             const exists = directInfo.some(d => JSON.stringify(d) === JSON.stringify(i['conn']));
+             if(exists) {
+                 directInfo = directInfo.filter(d => JSON.stringify(d) !== JSON.stringify(i['conn']));
+                 return true;
+             }
+             return false;
+        });
+
+        for (const conn of directInfo) {
+            this._directConnectionInfo.push({'conn': conn, 'cooldown': 0, 'latency': null});
+        }
+        if (!this._directConnectionCandidates().includes(this._directConnection)) {
+            this._directConnection = null;
+        }
+    }
+
+    /**
+     * Returns all the direct connection entries: the manual ones first, then the ones reported by the device
+     * that are not already listed manually.
+     * @private
+     * @returns {Object[]} The direct connection entries.
+     */
+    _directConnectionCandidates() {
+        const manual = this._manualDirectConnections;
+        const reported = (this._directConnectionInfo || [])
+            .filter(entry => !manual.some(m => this._directAddress(m) === this._directAddress(entry)));
+        return [...manual, ...reported];
+    }
+
+    /**
+     * Returns the "host:port" address of a direct connection entry.
+     * @private
+     * @param {Object} entry - The direct connection entry.
+     * @returns {string} The address.
+     */
+    _directAddress(entry) {
+        return entry['conn']["ip"] + ":" + entry['conn']["port"];
+    }
+
+    /**
+     * Adds a direct connection address to the ones reported by the device, e.g. a VPN or port-forwarded
+     * address when the device only knows its container address. Requests sent to it are still encrypted
+     * with the session keys, and the cloud remains the fallback.
+     * @param {string} host - The host name or IP address.
+     * @param {number} [port=3128] - The port of the JDownloader API.
+     * @param {Object} [options] - Address options.
+     * @param {number} [options.priority=0] - Addresses with a higher priority are preferred over faster ones.
+     * Reported addresses have priority 0.
+     * @returns {void}
+     */
+    addDirectConnection(host, port = 3128, { priority = 0 } = {}) {
+        const conn = { 'ip': host, 'port': port };
+        this.removeDirectConnection(host, port);
+        this._manualDirectConnections.push({'conn': conn, 'cooldown': 0, 'latency': null, 'priority': priority, 'manual': true});
+        // Let the next action probe the new address
+        this._directConnection = null;
+    }
+
+    /**
+     * Removes a direct connection address added with {@link JDDevice#addDirectConnection}.
+     * @param {string} host - The host name or IP address.
+     * @param {number} [port=3128] - The port of the JDownloader API.
+     * @returns {void}
+     */
+    removeDirectConnection(host, port = 3128) {
+        const address = host + ":" + port;
+        this._manualDirectConnections = this._manualDirectConnections.filter(entry => this._directAddress(entry) !== address);
+        if (this._directConnection !== null && this._directAddress(this._directConnection) === address) {
+            this._directConnection = null;
+        }
+    }
+
+    /**
+     * Pins the device to a single direct connection address: no other address is probed or used, and the cloud
+     * is used whenever the pinned address does not answer. Unknown addresses are added as manual ones.
+     * @param {string} host - The host name or IP address.
+     * @param {number} [port=3128] - The port of the JDownloader API.
+     * @returns {void}
+     */
+    pinDirectConnection(host, port = 3128) {
+        const address = host + ":" + port;
+        if (!this._directConnectionCandidates().some(entry => this._directAddress(entry) === address)) {
+            this.addDirectConnection(host, port);
+        }
+        this._pinnedDirectConnection = address;
+        this._directConnection = null;
+    }
+
+    /**
+     * Removes the pin set with {@link JDDevice#pinDirectConnection}, all the addresses are used again.
+     * @returns {void}
+     */
+    unpinDirectConnection() {
+        this._pinnedDirectConnection = null;
+        this._directConnection = null;
+    }
+
+    /**
+     * Configures the direct connection behaviour of this device, overriding the client defaults
+     * (see {@link MyJDApi#setConnectionPolicy}). Unspecified fields keep their current value.
+     * @param {ConnectionPolicy} policy - The connection policy fields to override.
+     * @returns {void}
+     */
+    setConnectionPolicy(policy) {
+        this._connectionPolicy = { ...this._connectionPolicy, ...policy };
+    }
+
+    /**
+     * Returns the effective connection policy of this device.
+     * @returns {ConnectionPolicy} The connection policy.
+     */
+    getConnectionPolicy() {
+        return { ...this.myJD.getConnectionPolicy(), ...this._connectionPolicy };
+    }
+
+    /**
+     * Reports how the device is currently reached.
+     * @returns {{route: ('direct'|'cloud'|'remoteapi'|null), address: (string|null), latency: (number|null),
+     * directEnabled: boolean, pinned: (string|null), cooldownUntil: (number|null), consecutiveFailures: number,
+     * addresses: {address: string, latency: (number|null), cooldownUntil: (number|null), scheme: (string|null),
+     * priority: number, manual: boolean}[]}}
+     * The route used by the last action (null before the first one), the selected direct address and its
+     * ping latency in milliseconds, the end of the direct connection cooldown (timestamp in milliseconds) and
+     * the known direct addresses.
+     */
+    getConnectionState() {
+        const now = Date.now();
+        return {
+            route: this._lastRoute,
+            address: this._directConnection !== null ? this._directAddress(this._directConnection) : null,
+            latency: this._directConnection !== null ? this._directConnection['latency'] : null,
+            directEnabled: this._directConnectionEnabled,
+            pinned: this._pinnedDirectConnection,
+            cooldownUntil: this._directConnectionCooldown > now ? this._directConnectionCooldown : null,
+            consecutiveFailures: this._directConnectionConsecutiveFailures,
+            addresses: this._directConnectionCandidates().map(entry => ({
+                address: this._directAddress(entry),
+                latency: entry['latency'],
+                cooldownUntil: entry['cooldown'] > now ? entry['cooldown'] : null,
+                scheme: entry['scheme'] || null,
+                priority: entry['priority'] || 0,
+                manual: entry['manual'] === true
+            }))
+        };
+    }
+
+    /**
+     * Builds the base URL of a direct connection address.
+     * @private
+     * @param {Object} entry - The direct connection entry.
+     * @param {('http' | 'https' | null)} [scheme=null] - The scheme to use, defaults to the one that answered the last
+     * probe if the TLS policy allows it, else to the one of the TLS policy.
+     * @returns {string} The base URL (e.g., 'http://192.168.1.2:3128').
+     */
+    _directApiUrl(entry, scheme = null) {
+        const tls = this.myJD.getTlsPolicy();
+        if (scheme === null) {
+            scheme = tls.allowDowngrade && entry['scheme'] ? entry['scheme'] : tlsScheme(tls);
+        }
+        return scheme + "://" + this._directAddress(entry);
+    }
+
+    /**
+     * Returns the direct connection address to use, probing the candidates when none is selected yet.
+     * Concurrent callers share the same probe.
+     * @private
+     * @param {ActionOptions} options - Per-call options of the triggering action.
+     * @param {boolean} [ignoreCooldown=false] - Whether to also probe the addresses in cooldown.
+     * @returns {Promise<Object | null>} A promise that resolves to the selected entry, or null if no address answered.
+     */
+    async _selectDirectConnection(options, ignoreCooldown = false) {
+        if (this._pinnedDirectConnection !== null) {
+            const pinned = this._directConnectionCandidates()
+                .find(entry => this._directAddress(entry) === this._pinnedDirectConnection);
+            this._directConnection = pinned && (ignoreCooldown || Date.now() > pinned['cooldown']) ? pinned : null;
+            return this._directConnection;
+        }
+        const selected = this._directConnection;
+        if (selected !== null && (ignoreCooldown || Date.now() > selected['cooldown'])) {
+            return selected;
+        }
+        if (this._directConnectionProbe === null) {
+            this._directConnectionProbe = this._probeDirectConnections(options, ignoreCooldown)
+                .finally(() => { this._directConnectionProbe = null; });
+        }
+        return await this._directConnectionProbe;
+    }
+
+    /**
+     * Pings all the direct connection addresses in parallel and selects the one with the highest priority,
+     * then the lowest latency. Addresses that do not answer are put in cooldown. When the TLS policy prefers
+     * HTTPS but allows downgrading, addresses that do not answer over HTTPS are pinged again over HTTP, unless
+     * their certificate was rejected.
+     * @private
+     * @param {ActionOptions} options - Per-call options of the triggering action.
+     * @param {boolean} ignoreCooldown - Whether to also probe the addresses in cooldown.
+     * @returns {Promise<Object | null>} A promise that resolves to the selected entry, or null if no address answered.
+     */
+    async _probeDirectConnections(options, ignoreCooldown) {
+        const policy = this.getConnectionPolicy();
+        const candidates = this._directConnectionCandidates()
+            .filter(entry => ignoreCooldown || Date.now() > entry['cooldown']);
+        const actionUrl = this._actionUrl();
+        const tls = this.myJD.getTlsPolicy();
+        const schemes = tlsScheme(tls) === "https" && tls.allowDowngrade ? ["https", "http"] : [tlsScheme(tls)];
+
+        const results = await Promise.all(candidates.map(async (entry) => {
+            for (const scheme of schemes) {
+                const startedAt = Date.now();
+                try {
+                    await this.myJD.requestApi("/device/ping", "POST", [], actionUrl, this._directApiUrl(entry, scheme), {
+                        signal: options.signal,
+                        timeout: policy.probeTimeout,
+                        retry: false,
+                        deviceId: this.deviceId
+                    });
+                    entry['latency'] = Date.now() - startedAt;
+                    entry['scheme'] = scheme;
+                    return entry;
+                } catch (e) {
+                    if (options.signal && options.signal.aborted) throw e;
+                    if (!(e instanceof MYJDNetworkException) || e.reason === C.NETWORK_CERTIFICATE) break;
+                }
+            }
+            entry['latency'] = null;
+            entry['cooldown'] = Date.now() + policy.addressCooldown;
+            return null;
+        }));
+
+        const answered = results.filter(entry => entry !== null);
+        answered.sort((a, b) => ((b['priority'] || 0) - (a['priority'] || 0)) || (a['latency'] - b['latency']));
+        this._directConnection = answered.length > 0 ? answered[0] : null;
+        return this._directConnection;
+    }
+
+    /**
+     * Sends a request through the selected direct connection address, switching to the next best address
+     * when it stops answering.
+     * @private
+     * @param {string} path - The specific API endpoint path.
+     * @param {any[]} params - Array of parameters for the API command.
+     * @param {string} httpAction - The HTTP method to use.
+     * @param {string} actionUrl - The action URL fragment.
+     * @param {ActionOptions} options - Per-call options.
+     * @param {boolean} ignoreCooldown - Whether to also use the addresses in cooldown.
+     * @returns {Promise<Object | null>} A promise that resolves to the response, or null if no address answered.
+     * @throws {MYJDApiException} If the device answered with an error.
+     */
+    async _directRequest(path, params, httpAction, actionUrl, options, ignoreCooldown) {
+        const policy = this.getConnectionPolicy();
+        for (;;) {
+            const entry = await this._selectDirectConnection(options, ignoreCooldown);
+            if (entry === null) {
+                return null;
+            }
+            try {
+                return await this.myJD.requestApi(path, httpAction, params, actionUrl, this._directApiUrl(entry), options);
+            } catch (e) {
+                if (!(e instanceof MYJDNetworkException)) throw e;
+                // Put the address in cooldown and let the next probe pick another one
+                entry['cooldown'] = Date.now() + policy.addressCooldown;
+                this._directConnection = null;
+                ignoreCooldown = false;
+            }
+        }
+    }
+
+    /**
+     * Enables attempts to connect directly to the JDownloader client, bypassing the cloud API when possible.
+     * @returns {Promise<void>}
+     */
+    async enableDirectConnection() {
+        this._directConnectionEnabled = true;
+        await this._refreshDirectConnections();
+    }
+
+    /**
+     * Disables the direct connection attempts, forcing all communication through the MyJDownloader cloud API.
+     * @returns {void}
+     */
+    disableDirectConnection() {
+        this._directConnectionEnabled = false;
+        this._directConnectionInfo = null;
+        this._directConnection = null;
+    }
+
+    /**
+     * Performs an action (API command) on the JDownloader device. This method handles encryption,
+     * action URL generation, and attempts direct connection if enabled before falling back to the cloud.
+     * If the MyJDownloader session expired meanwhile, the session is renewed (see {@link MyJDApi#renewSession})
+     * and the action is replayed once. Actions changing state are only replayed when the cloud rejected them, so that
+     * they never reached the device.
+     * @param {string} path - The specific API endpoint path (e.g., '/linkgrabberv2/queryLinks').
+     * @param {any[]} [params] - Array of parameters for the API command.
+     * @param {string} [httpAction='POST'] - The HTTP method to use (usually 'POST' for device actions).
+     * @param {ActionOptions} [options] - Per-call options: abort signal, timeout, retry policy override and route preference.
+     * @returns {Promise<Object>} A promise that resolves to the 'data' part of the decrypted API response.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     * @throws {DOMException} If the call is aborted through `options.signal` (the signal reason is thrown).
+     */
+    async action(path, params = [], httpAction = "POST", options = {}) {
+        const sessionToken = this.myJD.getSessionToken();
+        try {
+            return await this._action(path, params, httpAction, options);
+        } catch (e) {
+            if (!this.myJD._shouldRenewSession(e)) {
+                throw e;
+            }
+            // A session error raised by the device itself may follow an attempt it ran (see ActionOptions.retry)
+            if (e.source !== C.EXCEPTION_MYJD && !isIdempotentRequest(path)) {
+                throw e;
+            }
+            await this.myJD.renewSession(sessionToken);
+            return await this._action(path, params, httpAction, options);
+        }
+    }
+
+    /**
+     * Performs a single attempt of an action, without session renewal.
+     * @private
+     * @param {string} path - The specific API endpoint path.
+     * @param {any[]} params - Array of parameters for the API command.
+     * @param {string} httpAction - The HTTP method to use.
+     * @param {ActionOptions} options - Per-call options.
+     * @returns {Promise<Object>} A promise that resolves to the 'data' part of the decrypted API response.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async _action(path, params, httpAction, options) {
+        const route = options.route || "auto";
+        options = { ...options, deviceId: this.deviceId };
+        if (options.signal) {
+            options.signal.throwIfAborted();
+        }
+
+        if (this.myJD.getConnectionType() === "remoteapi") {
+            const response = await this.myJD.requestApi(path, httpAction, params, null, null, options);
+            this._lastRoute = "remoteapi";
+            return response['data'];
+        }
+
+        const actionUrl = this._actionUrl();
+
+        // 1. Direct connection only, whatever the cooldowns
+        if (route === "direct-only") {
+            if (this._directConnectionInfo === null) {
+                await this._refreshDirectConnections();
+            }
+            const response = await this._directRequest(path, params, httpAction, actionUrl, options, true);
+            if (response === null) {
+                throw new MYJDConnectionException("No direct connection established\n", { path: path, deviceId: this.deviceId });
+            }
+            this._lastRoute = "direct";
+            return response['data'];
+        }
+
+        // 2. Attempt direct connection if feasible
+        const now = Date.now();
+        if (route !== "cloud-only" && this._directConnectionEnabled && this._directConnectionCandidates().length > 0
+            && now >= this._directConnectionCooldown) {
+            const response = await this._directRequest(path, params, httpAction, actionUrl, options, false);
+            if (response !== null) {
+                this._directConnectionConsecutiveFailures = 0;
+                this._lastRoute = "direct";
+                return response['data'];
+            }
+
+            // Direct connection failed for all addresses: back off before trying again
+            const policy = this.getConnectionPolicy();
+            this._directConnectionConsecutiveFailures += 1;
+            const cooldown = policy.cooldown * Math.pow(policy.backoffFactor, this._directConnectionConsecutiveFailures - 1);
+            this._directConnectionCooldown = Date.now() + Math.min(cooldown, policy.maxCooldown);
+        }
+
+        // 3. Cloud API
+        const response = await this.myJD.requestApi(path, httpAction, params, actionUrl, null, options);
+        this._lastRoute = "cloud";
+        if (route !== "cloud-only" && this._directConnectionEnabled && Date.now() >= this._directConnectionCooldown) {
+            // Refresh direct info after cloud success, in the background: it must not change the result of the action
+            this._refreshDirectConnections().catch(() => {});
+        }
+        return response['data'];
+    }
+
+    /**
+     * Returns the in-memory mirror of a list of the device, created on first use and then shared.
+     * @param {('downloads' | 'linkgrabber')} [list='downloads'] - The list to mirror.
+     * @returns {ListMirror} The mirror. Call {@link ListMirror#refresh} or {@link ListMirror#start} to fill it.
+     */
+    mirror(list = "downloads") {
+        if (!(list in this._mirrors)) {
+            this._mirrors[list] = new ListMirror(this, list);
+        }
+        return this._mirrors[list];
+    }
+
+    /**
+     * Checks whether URLs are online, and the names and sizes of their files, without downloading anything.
+     * The URLs are crawled into a dedicated Linkgrabber package, checked, then removed from the Linkgrabber, also when
+     * the check times out or is aborted.
+     * @example
+     * for (const { url, online, links } of await device.linkcheck(["https://example.com/file.zip"])) { ... }
+     * @param {string[]} urls - The URLs to check.
+     * @param {Object} [checkOptions] - Check options, plus per-call options of the requests (see {@link JDDevice#action}).
+     * @param {number} [checkOptions.timeout=60000] - How long the crawl and the check may take, in milliseconds. Links
+     * still unchecked afterwards are reported with the `UNKNOWN` availability.
+     * @param {number} [checkOptions.interval=1000] - Delay between two polls, in milliseconds.
+     * @param {string} [checkOptions.packageName="linkcheck"] - The name of the temporary package.
+     * @returns {Promise<{url: string, online: boolean, links: {name: string, host: string, availability: string, bytesTotal: number}[]}[]>}
+     * A promise that resolves to one result per URL, in the given order. A URL may give several links (e.g., a folder),
+     * or none when no hoster recognizes it; it is `online` when it gave links and all of them are online.
+     * @throws {MYJDCrawlTimeoutException} If the URLs are not crawled within the timeout.
+     */
+    async linkcheck(urls, { timeout = 60000, interval = 1000, packageName = "linkcheck", ...options } = {}) {
+        const deadline = Date.now() + timeout;
+        const query = { ...ADD_LINKS_QUERY, links: urls.join("\n"), packageName: packageName, overwritePackagizerRules: true };
+        const { id: jobId } = await this.linkgrabber.addLinks([query], options);
+        let links = [];
+        let origins = {};
+        let checked = false;
+        try {
+            links = (await this.linkgrabber.waitForCrawlerJob(jobId, { timeout: timeout, interval: interval, ...options })).links;
+            const linkIds = links.map(link => link.uuid);
+            if (linkIds.length > 0) {
+                await this.linkgrabber.startOnlineStatusCheck(linkIds, [], options);
+                for (;;) {
+                    links = await this.linkgrabber.queryLinks([{ ...CRAWLED_LINK_QUERY, host: true, jobUUIDs: [jobId] }], options);
+                    if (!links.some(link => link.availability === "UNKNOWN") || Date.now() + interval > deadline) {
+                        break;
+                    }
+                    await sleep(interval, options.signal);
+                }
+                origins = await this.linkgrabber.getDownloadUrls(linkIds, [], ["ORIGIN"], options) || {};
+            }
+            checked = true;
+        } finally {
+            // Also after a timeout or an abort: the caller's signal is left out so that the removal still runs.
+            // Emptied packages are removed along with their last link.
+            const cleanup = { ...options, signal: undefined };
+            try {
+                const added = await this.linkgrabber.queryLinks([{ maxResults: -1, startAt: 0, jobUUIDs: [jobId] }], cleanup) || [];
+                if (added.length > 0) {
+                    await this.linkgrabber.removeLinks(added.map(link => link.uuid), [], cleanup);
+                }
+            } catch (e) {
+                // A failed check reports its own error rather than the cleanup one
+                if (checked) throw e;
+            }
+        }
+        return urls.map(url => {
+            const ids = origins[url] || [];
+            const found = links
+                .filter(link => ids.includes(link.uuid) || link.url === url)
+                .map(link => ({ name: link.name, host: link.host, availability: link.availability, bytesTotal: link.bytesTotal }));
+            return { url: url, online: found.length > 0 && found.every(link => link.availability === "ONLINE"), links: found };
+        });
+    }
+
+    /**
+     * Creates the unique action URL path required for sending encrypted commands to the device
+     * via the MyJDownloader cloud endpoint.
+     * @private
+     * @returns {string} The formatted action URL part: '/t_<sessionToken>_<deviceId>'.
+     */
+    _actionUrl() {
+        return "/t_" + this.myJD.getSessionToken() + "_" + this.deviceId;
+    }
+}
+
+/**
+ * @class
+ * @description Keeps exported sessions in memory. Useful for tests, or to share a session between clients of the same process.
+ * Session storages implement the async `getItem`, `setItem` and `removeItem` methods, mirroring the Web Storage API.
+ */
+export class MemorySessionStorage {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /** @type {Map<string, string>} */
+        this._items = new Map();
+    }
+
+    /**
+     * Reads a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<string | null>} A promise that resolves to the stored value or null if missing.
+     */
+    async getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    /**
+     * Stores an item.
+     * @param {string} key - The item key.
+     * @param {string} value - The value to store.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        this._items.set(key, value);
+    }
+
+    /**
+     * Removes a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        this._items.delete(key);
+    }
+}
+
+/**
+ * @class
+ * @description Keeps exported sessions in a JSON file (Node.js only). Every key is a property of the JSON object in the file.
+ */
+export class FileSessionStorage {
+    /**
+     * @constructor
+     * @param {string} path - Path of the JSON file. It is created with owner-only permissions if missing.
+     */
+    constructor(path) {
+        /** @type {string} */
+        this.path = path;
+    }
 
-        // Initialize controllers
-        /** @type {Accounts} */
-        this.accounts = new Accounts(this);
-        /** @type {Config} */
-        this.config = new Config(this);
-        /** @type {Linkgrabber} */
-        this.linkgrabber = new Linkgrabber(this);
-        /** @type {Captcha} */
-        this.captcha = new Captcha(this);
-        /** @type {Downloads} */
-        this.downloads = new Downloads(this);
-        /** @type {Toolbar} */
-        this.toolbar = new Toolbar(this);
-        /** @type {DownloadController} */
-        this.downloadcontroller = new DownloadController(this);
-        /** @type {Extension} */
-        this.extensions = new Extension(this);
-        /** @type {Dialog} */
-        this.dialogs = new Dialog(this);
-        /** @type {Reconnect} */
-        this.reconnect = new Reconnect(this);
-        /** @type {Update} */
-        this.update = new Update(this);
-        /** @type {System} */
-        this.system = new System(this);
-        /** @type {Object[] | null} */
-        this._directConnectionInfo = null;
-        /** @type {boolean} */
-        this._directConnectionEnabled = true;
-        /** @type {number} */
-        this._directConnectionCooldown = 0;
-        /** @type {number} */
-        this._directConnectionConsecutiveFailures = 0;
-        
-        // Init async background refresh
-        this._refreshDirectConnections();
+    /**
+     * Loads the file system module lazily, keeping it out of browser bundles.
+     * @private
+     * @returns {Promise<Object>} The `node:fs/promises` module.
+     */
+    async _fs() {
+        // Non-literal specifier, so that bundlers leave the import alone
+        const fsModule = "node:fs/promises";
+        return await import(fsModule);
     }
 
     /**
-     * Retrieves the current direct connection details (IP, port) from the MyJDownloader server.
-     * This is crucial for attempting local/direct communication instead of routing everything through the MyJDownloader cloud.
+     * Reads and parses the whole file.
+     * @private
+     * @returns {Promise<Object>} The stored items.
+     */
+    async _read() {
+        const fs = await this._fs();
+        let text;
+        try {
+            text = await fs.readFile(this.path, "utf8");
+        } catch (e) {
+            if (e.code === "ENOENT") return {};
+            throw e;
+        }
+        return text.trim() === "" ? {} : JSON.parse(text);
+    }
+
+    /**
+     * Serializes and writes the whole file.
      * @private
+     * @param {Object} items - The items to store.
      * @returns {Promise<void>}
      */
-    async _refreshDirectConnections() {
-        if (this.myJD.getConnectionType() === "remoteapi") {
-            return;
+    async _write(items) {
+        const fs = await this._fs();
+        await fs.writeFile(this.path, JSON.stringify(items, null, 2), { encoding: "utf8", mode: 0o600 });
+    }
+
+    /**
+     * Reads a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<string | null>} A promise that resolves to the stored value or null if missing.
+     */
+    async getItem(key) {
+        const items = await this._read();
+        return key in items ? items[key] : null;
+    }
+
+    /**
+     * Stores an item.
+     * @param {string} key - The item key.
+     * @param {string} value - The value to store.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const items = await this._read();
+        items[key] = value;
+        await this._write(items);
+    }
+
+    /**
+     * Removes a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const items = await this._read();
+        delete items[key];
+        await this._write(items);
+    }
+}
+
+/**
+ * @class
+ * @description Keeps exported sessions in a browser Web Storage (`localStorage` by default).
+ */
+export class WebSessionStorage {
+    /**
+     * @constructor
+     * @param {Storage} [storage=globalThis.localStorage] - The Web Storage instance to use (e.g., `sessionStorage`).
+     */
+    constructor(storage = globalThis.localStorage) {
+        /** @type {Storage} */
+        this.storage = storage;
+    }
+
+    /**
+     * Reads a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<string | null>} A promise that resolves to the stored value or null if missing.
+     */
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * Stores an item.
+     * @param {string} key - The item key.
+     * @param {string} value - The value to store.
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    /**
+     * Removes a stored item.
+     * @param {string} key - The item key.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * @class
+ * @description Minimal event emitter, working the same in browsers and Node.js.
+ */
+class Emitter {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /** @type {Map<string, Function[]>} */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Registers a listener.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the event arguments.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(event, listener) {
+        if (typeof listener !== "function") {
+            throw new TypeError("Listener must be a function");
         }
-        const response = await this.myJD.requestApi("/device/getDirectConnectionInfos",
-            "POST", null, this._actionUrl());
-        
-        if (response && response['data'] && response['data']['infos'] && response['data']['infos'].length !== 0) {
-            this._updateDirectConnections(response['data']['infos']);
+        this._listeners.set(event, [...(this._listeners.get(event) || []), listener]);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes a listener registered with {@link Emitter#on}.
+     * @param {string} event - The event name.
+     * @param {Function} listener - The listener to remove.
+     * @returns {void}
+     */
+    off(event, listener) {
+        const listeners = (this._listeners.get(event) || []).filter(l => l !== listener);
+        if (listeners.length > 0) {
+            this._listeners.set(event, listeners);
+        } else {
+            this._listeners.delete(event);
         }
     }
 
     /**
-     * Updates the internal list of direct connection information, managing cooldown status.
+     * Calls the listeners of an event, in registration order.
+     * @protected
+     * @param {string} event - The event name.
+     * @param {...any} args - The event arguments.
+     * @returns {boolean} Whether the event had listeners.
+     */
+    _emit(event, ...args) {
+        const listeners = this._listeners.get(event) || [];
+        for (const listener of listeners) {
+            listener(...args);
+        }
+        return listeners.length > 0;
+    }
+}
+
+/**
+ * @class
+ * @description Keeps one {@link JDDevice} per device ID, so their direct connection state survives, and tracks
+ * the devices of the account. Obtained with {@link MyJDApi#getDeviceRegistry}.
+ *
+ * Events (see {@link Emitter#on}):
+ * - `deviceAdded` (device): a device appeared in the list.
+ * - `deviceRemoved` (device): a device left the list.
+ * - `deviceOnline` (device) / `deviceOffline` (device): the status of a known device changed.
+ * - `error` (error): a periodic refresh failed.
+ */
+export class DeviceRegistry extends Emitter {
+    /**
+     * @constructor
+     * @param {MyJDApi} jd - The MyJDApi instance owning the registry.
+     */
+    constructor(jd) {
+        super();
+        /** @type {MyJDApi} */
+        this.myJD = jd;
+        /** @type {Map<string, JDDevice>} */
+        this._devices = new Map();
+        /** @type {Map<string, boolean>} */
+        this._online = new Map();
+        /** @type {any} */
+        this._timer = null;
+    }
+
+    /**
+     * Tells whether a device of the `listdevices` response is online. Devices without status are listed
+     * only while connected.
      * @private
-     * @param {Object[]} directInfo - New list of direct connection objects.
+     * @param {Object} deviceDict - The raw device information object.
+     * @returns {boolean} Whether the device is online.
+     */
+    _isOnline(deviceDict) {
+        return deviceDict["status"] === undefined || String(deviceDict["status"]).toUpperCase() === "ONLINE";
+    }
+
+    /**
+     * Returns the cached JDDevice of a device, creating it on first use.
+     * @private
+     * @param {Object} deviceDict - The raw device information object.
+     * @returns {JDDevice} The device instance.
+     */
+    _device(deviceDict) {
+        let device = this._devices.get(deviceDict["id"]);
+        if (device === undefined) {
+            device = new JDDevice(this.myJD, deviceDict);
+            this._devices.set(deviceDict["id"], device);
+        }
+        return device;
+    }
+
+    /**
+     * Reconciles the registry with a fresh device list and emits the change events.
+     * @private
+     * @param {Object[] | null} list - The raw device information objects.
      * @returns {void}
      */
-    _updateDirectConnections(directInfo) {
-        let tmp = [];
-        if (this._directConnectionInfo === null) {
-            for (const conn of directInfo) {
-                tmp.push({'conn': conn, 'cooldown': 0});
+    _update(list) {
+        list = list || [];
+        const events = [];
+        const ids = new Set(list.map(d => d["id"]));
+
+        for (const [id, device] of this._devices) {
+            if (!ids.has(id)) {
+                this._devices.delete(id);
+                this._online.delete(id);
+                events.push(["deviceRemoved", device]);
             }
-            this._directConnectionInfo = tmp;
-            return;
+        }
+        for (const deviceDict of list) {
+            const known = this._devices.has(deviceDict["id"]);
+            const device = this._device(deviceDict);
+            device.name = deviceDict["name"];
+            device.deviceType = deviceDict["type"];
+
+            const online = this._isOnline(deviceDict);
+            if (!known) {
+                events.push(["deviceAdded", device]);
+            } else if (this._online.has(device.deviceId) && this._online.get(device.deviceId) !== online) {
+                events.push([online ? "deviceOnline" : "deviceOffline", device]);
+            }
+            this._online.set(device.deviceId, online);
         }
 
-        this._directConnectionInfo = this._directConnectionInfo.filter(i => {
-             const exists = directInfo.some(d => JSON.stringify(d) === JSON.stringify(i['conn']));
-             if(exists) {
-                 directInfo = directInfo.filter(d => JSON.stringify(d) !== JSON.stringify(i['conn']));
-                 return true;
-             }
-             return false;
-        });
+        // Emit once the registry is consistent, listeners may query it
+        for (const [event, device] of events) {
+            this._emit(event, device);
+        }
+    }
+
+    /**
+     * Fetches the device list (see {@link MyJDApi#updateDevices}) and emits the change events.
+     * @returns {Promise<JDDevice[]>} A promise that resolves to the known devices.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async refresh() {
+        await this.myJD.updateDevices();
+        return this.list();
+    }
+
+    /**
+     * Returns the known devices.
+     * @returns {JDDevice[]} The device instances.
+     */
+    list() {
+        return [...this._devices.values()];
+    }
+
+    /**
+     * Returns a known device by ID, or by name.
+     * @param {string} idOrName - The device ID or name.
+     * @returns {JDDevice | null} The device instance, or null if unknown.
+     */
+    get(idOrName) {
+        if (this._devices.has(idOrName)) {
+            return this._devices.get(idOrName);
+        }
+        return this.list().find(device => device.name === idOrName) || null;
+    }
+
+    /**
+     * Tells whether a known device is online.
+     * @param {string} deviceId - The device ID.
+     * @returns {boolean} Whether the device is online (false if unknown).
+     */
+    isOnline(deviceId) {
+        return this._online.get(deviceId) === true;
+    }
+
+    /**
+     * Refreshes the device list periodically. Failures are emitted as `error` events.
+     * Calling it again replaces the previous interval.
+     * @param {number} [interval=60000] - The refresh interval in milliseconds.
+     * @returns {void}
+     */
+    start(interval = 60000) {
+        this.stop();
+        this._timer = setInterval(() => {
+            this.refresh().catch(e => this._emit("error", e));
+        }, interval);
+        // Do not keep Node.js processes alive for the refresh alone
+        if (this._timer && typeof this._timer.unref === "function") {
+            this._timer.unref();
+        }
+    }
+
+    /**
+     * Stops the periodic refresh started with {@link DeviceRegistry#start}.
+     * @returns {void}
+     */
+    stop() {
+        if (this._timer !== null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Forgets all the devices, without emitting events.
+     * @private
+     * @returns {void}
+     */
+    _clear() {
+        this._devices.clear();
+        this._online.clear();
+    }
+}
 
-        for (const conn of directInfo) {
-            this._directConnectionInfo.push({'conn': conn, 'cooldown': 0});
+/**
+ * @constant
+ * @type {Object<string, {packages: string[], links: string[]}>}
+ * @description Fields refreshed by {@link ListMirror} while the structure of a list does not change.
+ */
+const VOLATILE_FIELDS = {
+    downloads: {
+        packages: ["speed", "bytesLoaded", "eta", "status", "running", "finished"],
+        links: ["speed", "bytesLoaded", "eta", "status", "running", "finished"]
+    },
+    linkgrabber: {
+        packages: ["status"],
+        links: ["status", "availability"]
+    }
+};
+
+/**
+ * @class
+ * @description Keeps an in-memory copy of the packages and links of the download list or of the Linkgrabber.
+ * The whole list is fetched again only when its structure change counter moves, otherwise only the volatile
+ * fields (speed, bytesLoaded, eta, status...) are refreshed. Obtained with {@link JDDevice#mirror}.
+ *
+ * Items are replaced, never mutated, when they change. Events (see {@link Emitter#on}):
+ * - `packageAdded` (pkg), `packageRemoved` (pkg), `packageChanged` (pkg, fields)
+ * - `linkAdded` (link), `linkRemoved` (link), `linkChanged` (link, fields)
+ * - `refreshed` ({structureChanged}): a refresh completed.
+ * - `error` (error): a periodic refresh failed.
+ */
+export class ListMirror extends Emitter {
+    /**
+     * @constructor
+     * @param {JDDevice} device - The device.
+     * @param {('downloads' | 'linkgrabber')} [list='downloads'] - The list to mirror.
+     */
+    constructor(device, list = "downloads") {
+        super();
+        if (!(list in VOLATILE_FIELDS)) {
+            throw new TypeError(`Unknown list: ${list}`);
         }
+        /** @type {JDDevice} */
+        this.device = device;
+        /** @type {string} */
+        this.list = list;
+        /** @type {Map<number, Object>} */
+        this.packages = new Map();
+        /** @type {Map<number, Object>} */
+        this.links = new Map();
+        /** @type {number} */
+        this._counter = -1;
+        /** @type {Promise<void> | null} */
+        this._refreshing = null;
+        /** @type {any} */
+        this._timer = null;
     }
 
     /**
-     * Enables attempts to connect directly to the JDownloader client, bypassing the cloud API when possible.
-     * @returns {Promise<void>}
+     * Returns the links of the mirror, optionally of a single package, in list order.
+     * @param {number} [packageUUID] - The package UUID.
+     * @returns {Object[]} The links.
      */
-    async enableDirectConnection() {
-        this._directConnectionEnabled = true;
-        await this._refreshDirectConnections();
+    getLinks(packageUUID) {
+        const links = [...this.links.values()];
+        return packageUUID === undefined ? links : links.filter(link => link["packageUUID"] === packageUUID);
     }
 
     /**
-     * Disables the direct connection attempts, forcing all communication through the MyJDownloader cloud API.
-     * @returns {void}
+     * Returns the packages of the mirror, in list order.
+     * @returns {Object[]} The packages.
      */
-    disableDirectConnection() {
-        this._directConnectionEnabled = false;
-        this._directConnectionInfo = null;
+    getPackages() {
+        return [...this.packages.values()];
     }
 
     /**
-     * Performs an action (API command) on the JDownloader device. This method handles encryption,
-     * action URL generation, and attempts direct connection if enabled before falling back to the cloud.
-     * @param {string} path - The specific API endpoint path (e.g., '/linkgrabberv2/queryLinks').
-     * @param {any[]} [params] - Array of parameters for the API command.
-     * @param {string} [httpAction='POST'] - The HTTP method to use (usually 'POST' for device actions).
-     * @returns {Promise<Object>} A promise that resolves to the 'data' part of the decrypted API response.
+     * Brings the mirror up to date and emits the change events. Concurrent calls share the same refresh.
+     * @param {ActionOptions} [options] - Per-call options of the queries, see {@link JDDevice#action}.
+     * @returns {Promise<void>}
      * @throws {MYJDConnectionException|MYJDApiException}
      */
-    async action(path, params = [], httpAction = "POST") {
-        let actionUrl = null;
-        if (this.myJD.getConnectionType() !== "remoteapi") {
-            actionUrl = this._actionUrl();
+    async refresh(options = {}) {
+        if (this._refreshing === null) {
+            this._refreshing = this._refresh(options).finally(() => { this._refreshing = null; });
         }
+        return await this._refreshing;
+    }
 
-        const now = Date.now() / 1000;
+    /**
+     * Refreshes the mirror, see {@link ListMirror#refresh}.
+     * @private
+     * @param {ActionOptions} options - Per-call options of the queries.
+     * @returns {Promise<void>}
+     */
+    async _refresh(options) {
+        const controller = this.device[this.list];
+        const counter = await controller.getStructureChangeCounter(this._counter, options);
+        const structureChanged = counter !== this._counter;
+
+        let packages, links;
+        if (structureChanged) {
+            packages = await controller.queryPackages(undefined, options);
+            links = await controller.queryLinks(undefined, options);
+        } else {
+            const query = (fields) => [Object.assign({ "maxResults": -1, "startAt": 0 },
+                ...fields.map(field => ({ [field]: true })))];
+            packages = await controller.queryPackages(query(VOLATILE_FIELDS[this.list].packages), options);
+            links = await controller.queryLinks(query(VOLATILE_FIELDS[this.list].links), options);
+        }
 
-        // 1. Check for direct connection feasibility
-        if (!this._directConnectionEnabled || this._directConnectionInfo === null || now < this._directConnectionCooldown) {
-            // Fallback to cloud API
-            const response = await this.myJD.requestApi(path, httpAction, params, actionUrl);
-            if (response === null) {
-                throw new MYJDConnectionException("No connection established\n");
-            } else {
-                if (this._directConnectionEnabled && Date.now() / 1000 >= this._directConnectionCooldown) {
-                    await this._refreshDirectConnections();
-                }
-                return response['data'];
+        this._counter = counter;
+        const volatile = VOLATILE_FIELDS[this.list];
+        const events = [
+            ...this._merge(this.packages, packages || [], structureChanged ? null : volatile.packages, "package"),
+            ...this._merge(this.links, links || [], structureChanged ? null : volatile.links, "link")
+        ];
+        // Emit once the mirror is consistent, listeners may query it
+        for (const [event, ...args] of events) {
+            this._emit(event, ...args);
+        }
+        this._emit("refreshed", { structureChanged: structureChanged });
+    }
+
+    /**
+     * Merges queried items into a map of the mirror.
+     * @private
+     * @param {Map<number, Object>} items - The mirrored items.
+     * @param {Object[]} fresh - The queried items.
+     * @param {string[] | null} queried - The queried fields, or null if the items hold every field of the whole
+     * list (items missing from it were removed).
+     * @param {('package' | 'link')} kind - The kind of items, used in the event names.
+     * @returns {Array[]} The events to emit.
+     */
+    _merge(items, fresh, queried, kind) {
+        const complete = queried === null;
+        const events = [];
+        const merged = new Map();
+        for (const item of fresh) {
+            const uuid = item["uuid"];
+            const previous = items.get(uuid);
+            if (previous === undefined) {
+                // Without a structure change, it was added after the counter was read: the next refresh gets it
+                if (!complete) continue;
+                merged.set(uuid, item);
+                events.push([kind + "Added", item]);
+                continue;
             }
-        } else {
-            // 2. Attempt direct connection
-            for (let i = 0; i < this._directConnectionInfo.length; i++) {
-                const conn = this._directConnectionInfo[i];
-                if (Date.now() / 1000 > conn['cooldown']) {
-                    const connection = conn['conn'];
-                    const api = "http://" + connection["ip"] + ":" + connection["port"];
-                    const response = await this.myJD.requestApi(path, httpAction, params, actionUrl, api);
-                    
-                    if (response !== null) {
-                        // Success: move to front of list and reset error state
-                        this._directConnectionInfo.splice(i, 1);
-                        this._directConnectionInfo.unshift(conn);
-                        this._directConnectionConsecutiveFailures = 0;
-                        return response['data'];
-                    } else {
-                        // Failure: apply cooldown for 60 seconds
-                        conn['cooldown'] = (Date.now() / 1000) + 60;
-                    }
+            // Fields no longer reported (e.g., speed once finished) are cleared too
+            const dropped = Object.keys(previous).filter(field => !(field in item) && (complete || queried.includes(field)));
+            const fields = Object.keys(item)
+                .filter(field => JSON.stringify(item[field]) !== JSON.stringify(previous[field]))
+                .concat(dropped);
+            if (fields.length > 0) {
+                let current = item;
+                if (!complete) {
+                    current = { ...previous, ...item };
+                    for (const field of dropped) delete current[field];
                 }
+                merged.set(uuid, current);
+                events.push([kind + "Changed", current, fields]);
+            } else {
+                merged.set(uuid, previous);
             }
-
-            // 3. Direct connection failed for all addresses, fall back to cloud API and apply cooldown
-            this._directConnectionConsecutiveFailures += 1;
-            // Increase cooldown duration exponentially based on consecutive failures
-            this._directConnectionCooldown = (Date.now() / 1000) + (60 * this._directConnectionConsecutiveFailures);
-
-            const response = await this.myJD.requestApi(path, httpAction, params, actionUrl);
-            if (response === null) {
-                throw new MYJDConnectionException("No connection established\n");
+        }
+        for (const [uuid, item] of items) {
+            if (merged.has(uuid)) continue;
+            if (complete) {
+                events.push([kind + "Removed", item]);
+            } else {
+                merged.set(uuid, item);
             }
-            await this._refreshDirectConnections(); // Refresh direct info after cloud success
-            return response['data'];
         }
+        items.clear();
+        for (const [uuid, item] of merged) {
+            items.set(uuid, item);
+        }
+        return events;
     }
 
     /**
-     * Creates the unique action URL path required for sending encrypted commands to the device
-     * via the MyJDownloader cloud endpoint.
-     * @private
-     * @returns {string} The formatted action URL part: '/t_<sessionToken>_<deviceId>'.
+     * Refreshes the mirror periodically. Failures are emitted as `error` events.
+     * Calling it again replaces the previous interval.
+     * @param {number} [interval=1000] - The refresh interval in milliseconds.
+     * @returns {void}
      */
-    _actionUrl() {
-        return "/t_" + this.myJD.getSessionToken() + "_" + this.deviceId;
+    start(interval = 1000) {
+        this.stop();
+        this._timer = setInterval(() => {
+            this.refresh().catch(e => this._emit("error", e));
+        }, interval);
+        // Do not keep Node.js processes alive for the refresh alone
+        if (this._timer && typeof this._timer.unref === "function") {
+            this._timer.unref();
+        }
+    }
+
+    /**
+     * Stops the periodic refresh started with {@link ListMirror#start}.
+     * @returns {void}
+     */
+    stop() {
+        if (this._timer !== null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
     }
 }
 
@@ -1477,6 +4378,28 @@ export class MyJDApi {
         this._timeout = 3000;
         /** @type {('myjd' | 'remoteapi')} */
         this._connectionType = "myjd";
+        /** @type {string | null} */
+        this._email = null;
+        /** @type {boolean} */
+        this._autoReconnect = true;
+        /** @type {Promise<Object> | null} */
+        this._renewing = null;
+        /** @type {Object} */
+        this._retryPolicy = { ...DEFAULT_RETRY_POLICY };
+        /** @type {number} */
+        this._maxConcurrentRequests = Infinity;
+        /** @type {number} */
+        this._activeRequests = 0;
+        /** @type {Function[]} */
+        this._requestQueue = [];
+        /** @type {Function[]} */
+        this._middlewares = [];
+        /** @type {ConnectionPolicy} */
+        this._connectionPolicy = { ...DEFAULT_CONNECTION_POLICY };
+        /** @type {TlsPolicy} */
+        this._tlsPolicy = { ...DEFAULT_TLS_POLICY };
+        /** @type {DeviceRegistry} */
+        this._deviceRegistry = new DeviceRegistry(this);
     }
 
     /**
@@ -1504,6 +4427,172 @@ export class MyJDApi {
         this._appKey = appKey;
     }
 
+    /**
+     * Configures how requests failing with a transient error (overload, rate limiting, maintenance...) are retried.
+     * Unspecified fields keep their current value. The policy applies to the login, to the device list and to the
+     * device actions reading state. Actions changing state are only retried when asked per call (see
+     * {@link ActionOptions}); the session renewal and the account management requests are not retried.
+     * @param {Object} policy - The retry policy.
+     * @param {number} [policy.maxAttempts=3] - Maximum number of attempts per request, 1 disables retries.
+     * @param {number} [policy.baseDelay=500] - Delay before the first retry, in milliseconds.
+     * @param {number} [policy.maxDelay=10000] - Upper bound of the delay between two attempts, in milliseconds.
+     * @param {number} [policy.factor=2] - Multiplier applied to the delay after each retry.
+     * @param {number} [policy.jitter=0.5] - Fraction (0 to 1) of the delay that is randomized.
+     * @param {Function[]} [policy.retryOn] - Exception classes considered retryable.
+     * @param {Function | null} [policy.onRetry=null] - Called as `onRetry(error, attempt, delay)` before each retry.
+     * @returns {void}
+     */
+    setRetryPolicy(policy) {
+        this._retryPolicy = { ...this._retryPolicy, ...policy };
+    }
+
+    /**
+     * Registers a middleware, called for every request attempt with a {@link RequestContext} and a `next` function.
+     * The middleware sees the parameters before encryption and, after `await next()`, the decrypted response
+     * (or the error), the route used and the duration. Middlewares run in registration order.
+     * @example
+     * api.use(async (ctx, next) => {
+     *     try {
+     *         await next();
+     *     } finally {
+     *         metrics.record(ctx.path, ctx.route, ctx.outcome, ctx.duration);
+     *     }
+     * });
+     * api.use(createDebugLogger());
+     * @param {Function} middleware - An async `(ctx, next) => {}` function, which must call `next()` exactly once
+     * and let its errors through.
+     * @returns {Function} A function removing the middleware.
+     */
+    use(middleware) {
+        this._middlewares.push(middleware);
+        return () => {
+            this._middlewares = this._middlewares.filter(m => m !== middleware);
+        };
+    }
+
+    /**
+     * Runs a request attempt through the middlewares.
+     * @private
+     * @param {RequestContext} ctx - The request context.
+     * @param {string | null} action - The action URL fragment for device-specific POST calls.
+     * @param {string | null} api - Overrides the base API URL.
+     * @param {Object} options - Additional request options.
+     * @returns {Promise<Object>} A promise that resolves to the response, as left in the context by the middlewares.
+     */
+    async _dispatch(ctx, action, api, options) {
+        const middlewares = this._middlewares;
+        const core = async () => {
+            const startedAt = Date.now();
+            try {
+                ctx.response = await this._request(ctx.path, ctx.method, ctx.params, action, api, options, ctx.rid);
+                ctx.outcome = "success";
+            } catch (e) {
+                ctx.error = e;
+                ctx.outcome = "error";
+                throw e;
+            } finally {
+                ctx.duration = Date.now() - startedAt;
+            }
+        };
+        const dispatch = async (i) => {
+            if (i < middlewares.length) {
+                await middlewares[i](ctx, () => dispatch(i + 1));
+            } else {
+                await core();
+            }
+        };
+        await dispatch(0);
+        return ctx.response;
+    }
+
+    /**
+     * Configures how devices are reached through their direct connection addresses. Unspecified fields keep
+     * their current value. Devices can override it with {@link JDDevice#setConnectionPolicy}.
+     * @param {ConnectionPolicy} policy - The connection policy fields to change.
+     * @returns {void}
+     */
+    setConnectionPolicy(policy) {
+        this._connectionPolicy = { ...this._connectionPolicy, ...policy };
+    }
+
+    /**
+     * Returns the default connection policy of the devices.
+     * @returns {ConnectionPolicy} A copy of the connection policy.
+     */
+    getConnectionPolicy() {
+        return { ...this._connectionPolicy };
+    }
+
+    /**
+     * Configures the transport security of the direct connections and of the remote API.
+     * Unspecified fields keep their current value.
+     * @example
+     * // Self-signed certificate, never fall back to plain HTTP
+     * api.setTlsPolicy({ https: true, allowDowngrade: false, fingerprint: 'AB:CD:...' });
+     * @param {TlsPolicy} policy - The TLS policy fields to change.
+     * @returns {void}
+     */
+    setTlsPolicy(policy) {
+        this._tlsPolicy = { ...this._tlsPolicy, ...policy };
+    }
+
+    /**
+     * Returns the current TLS policy.
+     * @returns {TlsPolicy} A copy of the TLS policy.
+     */
+    getTlsPolicy() {
+        return { ...this._tlsPolicy };
+    }
+
+    /**
+     * Sends an HTTP request. Device connections (direct or remote API) over HTTPS go through {@link pinnedFetch}
+     * when the TLS policy pins a certificate or a CA, everything else uses `fetch`.
+     * @private
+     * @param {string} url - The request URL.
+     * @param {Object} init - The `fetch` init object.
+     * @param {boolean} deviceRoute - Whether the request targets the device rather than the MyJDownloader cloud.
+     * @returns {Promise<{status: number, text: function(): Promise<string>}>} A promise that resolves to the response.
+     */
+    async _fetch(url, init, deviceRoute) {
+        const tls = this._tlsPolicy;
+        if (deviceRoute && url.startsWith("https://") && (tls.fingerprint || tls.ca)) {
+            return await pinnedFetch(url, init, tls);
+        }
+        return await fetch(url, init);
+    }
+
+    /**
+     * Returns the current retry policy.
+     * @returns {Object} A copy of the retry policy.
+     */
+    getRetryPolicy() {
+        return { ...this._retryPolicy };
+    }
+
+    /**
+     * Computes the delay before the given retry, with exponential backoff and jitter.
+     * @private
+     * @param {Object} policy - The retry policy.
+     * @param {number} attempt - The number of the failed attempt (1 for the first one).
+     * @returns {number} The delay in milliseconds.
+     */
+    _retryDelay(policy, attempt) {
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    }
+
+    /**
+     * Enables or disables the automatic session renewal performed by {@link JDDevice#action}
+     * when the MyJDownloader session expires. The action is then replayed once, after its own retries (see
+     * {@link ActionOptions}): with `retry` set per call, an action changing state may be sent up to twice
+     * `maxAttempts` times. Without it, such an action is replayed only if the cloud rejected it before the device saw it.
+     * @param {boolean} enabled - True to renew expired sessions transparently (default), false to let errors through.
+     * @returns {void}
+     */
+    setAutoReconnect(enabled) {
+        this._autoReconnect = enabled;
+    }
+
     /**
      * Creates a cryptographic secret (key) used for authentication and token generation.
      * This uses SHA-256 hash of the concatenated lowercased email, password, and domain string.
@@ -1625,13 +4714,94 @@ export class MyJDApi {
         return bufferToBase64(encryptedBuffer);
     }
 
+    /**
+     * Encrypts a login secret for the account management calls, which transmit it as `encryptedLoginSecret`.
+     * @private
+     * @param {ArrayBuffer} keyBuffer - The 32-byte key (validation key received by email or server encryption token).
+     * @param {ArrayBuffer} loginSecret - The login secret to encrypt.
+     * @returns {Promise<string>} A promise that resolves to the hexadecimal encrypted login secret.
+     */
+    async _encryptLoginSecret(keyBuffer, loginSecret) {
+        const secretToken = new Uint8Array(keyBuffer);
+        const half = Math.floor(secretToken.length / 2);
+        const initVector = secretToken.slice(0, half); // First 16 bytes as IV
+        const keyRaw = secretToken.slice(half); // Last 16 bytes as Key
+
+        const key = await crypto.subtle.importKey("raw", keyRaw, { name: "AES-CBC" }, false, ["encrypt"]);
+        const encryptedBuffer = await crypto.subtle.encrypt({ name: "AES-CBC", iv: initVector }, key, loginSecret);
+        return bufferToHex(encryptedBuffer);
+    }
+
     /**
      * Updates the request ID (rid) to the current timestamp. This ID is used for tracking requests
-     * and preventing replay attacks.
+     * and preventing replay attacks. The rid never goes backwards: if the clock did not move since
+     * the last update, it is simply incremented.
      * @returns {void}
      */
     updateRequestId() {
-        this._requestId = Date.now();
+        this._requestId = Math.max(Date.now(), this._requestId + 1);
+    }
+
+    /**
+     * Reserves a unique request ID for a new request, so that concurrent requests never share one.
+     * @private
+     * @returns {number} The reserved request ID.
+     */
+    _nextRequestId() {
+        this.updateRequestId();
+        return this._requestId;
+    }
+
+    /**
+     * Limits the number of requests in flight at the same time. Additional requests wait in a FIFO queue.
+     * @param {number} limit - The maximum number of concurrent requests (Infinity, the default, disables the limit).
+     * @returns {void}
+     */
+    setMaxConcurrentRequests(limit) {
+        this._maxConcurrentRequests = limit > 0 ? limit : Infinity;
+        this._releaseRequestSlot(0);
+    }
+
+    /**
+     * Waits for a free request slot, see {@link MyJDApi#setMaxConcurrentRequests}. The request timeout only starts
+     * once the slot is acquired; the signal cancels the wait.
+     * @private
+     * @param {AbortSignal} [signal] - Optional signal cancelling the wait.
+     * @returns {Promise<void>}
+     * @throws {DOMException} If the signal aborts while waiting (the signal reason is thrown).
+     */
+    async _acquireRequestSlot(signal) {
+        if (this._activeRequests < this._maxConcurrentRequests) {
+            this._activeRequests += 1;
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                // Leave the queue, so that the slot goes to the next request
+                this._requestQueue.splice(this._requestQueue.indexOf(grant), 1);
+                reject(signal.reason);
+            };
+            const grant = () => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+                resolve();
+            };
+            this._requestQueue.push(grant);
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Frees request slots and hands them over to the queued requests.
+     * @private
+     * @param {number} [count=1] - The number of slots to free.
+     * @returns {void}
+     */
+    _releaseRequestSlot(count = 1) {
+        this._activeRequests -= count;
+        while (this._requestQueue.length > 0 && this._activeRequests < this._maxConcurrentRequests) {
+            this._activeRequests += 1;
+            this._requestQueue.shift()();
+        }
     }
 
     /**
@@ -1643,21 +4813,66 @@ export class MyJDApi {
      * @throws {MYJDConnectionException|MYJDApiException}
      */
     async connect(email, password) {
+        // Derive base secrets
+        const loginSecret = await this._secretCreate(email, password, "server");
+        const deviceSecret = await this._secretCreate(email, password, "device");
+        return await this._login(email, loginSecret, deviceSecret);
+    }
+
+    /**
+     * Establishes a connection to the MyJDownloader cloud API using secrets previously derived
+     * by {@link MyJDApi.deriveSecrets}, so that the account password does not have to be stored.
+     * @param {string} email - The MyJDownloader account email.
+     * @param {string|ArrayBuffer|Uint8Array} loginSecret - The login ('server') secret, as hex string or bytes.
+     * @param {string|ArrayBuffer|Uint8Array} deviceSecret - The device secret, as hex string or bytes.
+     * @returns {Promise<Object>} A promise that resolves to the initial connection response, containing tokens.
+     * @throws {MYJDException} If a secret is malformed.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async connectWithSecrets(email, loginSecret, deviceSecret) {
+        return await this._login(email, secretToBuffer(loginSecret), secretToBuffer(deviceSecret));
+    }
+
+    /**
+     * Derives the login and device secrets of an account, to be used later with {@link MyJDApi#connectWithSecrets}.
+     * Note that the secrets grant full access to the account: protect them like the password itself.
+     * @param {string} email - The MyJDownloader account email.
+     * @param {string} password - The MyJDownloader account password.
+     * @returns {Promise<{loginSecret: string, deviceSecret: string}>} A promise that resolves to both secrets as hexadecimal strings.
+     */
+    static async deriveSecrets(email, password) {
+        const api = new MyJDApi();
+        return {
+            "loginSecret": bufferToHex(await api._secretCreate(email, password, "server")),
+            "deviceSecret": bufferToHex(await api._secretCreate(email, password, "device"))
+        };
+    }
+
+    /**
+     * Performs the `/my/connect` handshake with already derived base secrets.
+     * @private
+     * @param {string} email - The MyJDownloader account email.
+     * @param {ArrayBuffer} loginSecret - The 'server' domain secret.
+     * @param {ArrayBuffer} deviceSecret - The 'device' domain secret.
+     * @returns {Promise<Object>} A promise that resolves to the initial connection response, containing tokens.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async _login(email, loginSecret, deviceSecret) {
         this.updateRequestId();
         // Reset all internal state and tokens
-        this._loginSecret = null;
-        this._deviceSecret = null;
         this._sessionToken = null;
         this._regainToken = null;
         this._serverEncryptionToken = null;
         this._deviceEncryptionToken = null;
-        this._devices = null;
+        // A session renewal keeps the device list of the account until the new one is fetched
+        if (this._connectionType !== "myjd" || this._email !== email) {
+            this._devices = null;
+        }
         this._connected = false;
         this._connectionType = "myjd";
-
-        // Derive base secrets
-        this._loginSecret = await this._secretCreate(email, password, "server");
-        this._deviceSecret = await this._secretCreate(email, password, "device");
+        this._email = email;
+        this._loginSecret = loginSecret;
+        this._deviceSecret = deviceSecret;
 
         const response = await this.requestApi("/my/connect", "GET", [
             ["email", email],
@@ -1679,10 +4894,12 @@ export class MyJDApi {
      * @param {string} ip - The IP address of the JDownloader client.
      * @param {number} [port=3128] - The port of the JDownloader client's API.
      * @param {number} [timeout=3000] - The connection timeout in milliseconds.
+     * @param {TlsPolicy} [tls] - TLS policy fields to apply (see {@link MyJDApi#setTlsPolicy}), e.g. `{ https: true }`.
      * @returns {Promise<Object>} A promise that resolves to the API response object (usually { message: 'pong' }).
      * @throws {MYJDConnectionException|MYJDApiException}
      */
-    async directConnect(ip, port = 3128, timeout = 3000) {
+    async directConnect(ip, port = 3128, timeout = 3000, tls = {}) {
+        this.setTlsPolicy(tls);
         this.updateRequestId();
         // Reset tokens (not needed for direct connect)
         this._loginSecret = null;
@@ -1691,6 +4908,7 @@ export class MyJDApi {
         this._regainToken = null;
         this._serverEncryptionToken = null;
         this._deviceEncryptionToken = null;
+        this._email = null;
 
         // Configure for remoteapi type
         this._devices = [{
@@ -1698,8 +4916,9 @@ export class MyJDApi {
             'id': 'direct',
             'type': 'jd'
         }];
+        this._deviceRegistry._update(this._devices);
         this._connectionType = "remoteapi";
-        this._apiUrl = "http://" + ip + ":" + port;
+        this._apiUrl = tlsScheme(this._tlsPolicy) + "://" + ip + ":" + port;
         this._contentType = "application/json; charset=utf-8"; // Direct connect does not use AES/JSON payload
         this._timeout = timeout;
         this._connected = true; 
@@ -1733,6 +4952,166 @@ export class MyJDApi {
         return response;
     }
 
+    /**
+     * Renews an expired session. The regain token is tried first through {@link MyJDApi#reconnect};
+     * if it is rejected as well, a full login is performed with the stored account secrets.
+     * Concurrent callers share the same renewal.
+     * @param {string | null} [staleToken=null] - The session token that was found to be expired. If the session
+     * has already been renewed since, nothing is done.
+     * @returns {Promise<Object | null>} A promise that resolves to the new session details, or null if nothing had to be renewed.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async renewSession(staleToken = null) {
+        if (this._renewing !== null) {
+            return await this._renewing;
+        }
+        if (staleToken !== null && staleToken !== this._sessionToken) {
+            return null;
+        }
+
+        this._renewing = (async () => {
+            try {
+                return await this.reconnect();
+            } catch (e) {
+                if (!(e instanceof MYJDTokenInvalidException || e instanceof MYJDSessionException
+                    || e instanceof MYJDAuthFailedException)) {
+                    throw e;
+                }
+                if (this._email === null || this._loginSecret === null || this._deviceSecret === null) {
+                    throw e;
+                }
+                // Regain token rejected as well, start over with a brand new session
+                return await this._login(this._email, this._loginSecret, this._deviceSecret);
+            }
+        })();
+
+        try {
+            return await this._renewing;
+        } finally {
+            this._renewing = null;
+        }
+    }
+
+    /**
+     * Tells whether an error raised by a device action is caused by an expired session that can be renewed.
+     * @private
+     * @param {Error} error - The error thrown by the request.
+     * @returns {boolean} True if the session should be renewed and the request replayed.
+     */
+    _shouldRenewSession(error) {
+        return this._autoReconnect
+            && this._connectionType === "myjd"
+            && (error instanceof MYJDTokenInvalidException || error instanceof MYJDSessionException);
+    }
+
+    /**
+     * Exports the current session so that it can be resumed later by {@link MyJDApi.resumeSession},
+     * possibly in another process, without logging in again.
+     * The exported state contains the account secrets: handle it like a password.
+     * @returns {Object} A JSON-serializable session state.
+     * @throws {MYJDConnectionException} If not connected.
+     */
+    exportSession() {
+        if (!this.isConnected()) {
+            throw new MYJDConnectionException("No connection established\n");
+        }
+        const toHex = (buffer) => buffer === null ? null : bufferToHex(buffer);
+        return {
+            "version": 1,
+            "connectionType": this._connectionType,
+            "apiUrl": this._apiUrl,
+            "appKey": this._appKey,
+            "contentType": this._contentType,
+            "timeout": this._timeout,
+            "email": this._email,
+            "sessionToken": this._sessionToken,
+            "regainToken": this._regainToken,
+            "loginSecret": toHex(this._loginSecret),
+            "deviceSecret": toHex(this._deviceSecret),
+            "serverEncryptionToken": toHex(this._serverEncryptionToken),
+            "deviceEncryptionToken": toHex(this._deviceEncryptionToken),
+            "devices": this._devices
+        };
+    }
+
+    /**
+     * Creates a client from a session state previously returned by {@link MyJDApi#exportSession}.
+     * No request is sent: if the session expired meanwhile, it is renewed on the first device action.
+     * @param {Object} state - The exported session state.
+     * @returns {MyJDApi} A connected client.
+     * @throws {MYJDDecodeException} If the state is not a supported session export.
+     */
+    static resumeSession(state) {
+        if (!state || typeof state !== 'object' || state["version"] !== 1) {
+            throw new MYJDDecodeException("Unsupported session state\n");
+        }
+        const fromHex = (hex) => hex === null || hex === undefined ? null : hexToBuffer(hex);
+        const api = new MyJDApi();
+        api._connectionType = state["connectionType"];
+        api._apiUrl = state["apiUrl"];
+        api._appKey = state["appKey"];
+        api._contentType = state["contentType"];
+        api._timeout = state["timeout"];
+        api._email = state["email"];
+        api._sessionToken = state["sessionToken"];
+        api._regainToken = state["regainToken"];
+        api._loginSecret = fromHex(state["loginSecret"]);
+        api._deviceSecret = fromHex(state["deviceSecret"]);
+        api._serverEncryptionToken = fromHex(state["serverEncryptionToken"]);
+        api._deviceEncryptionToken = fromHex(state["deviceEncryptionToken"]);
+        api._devices = state["devices"];
+        api._deviceRegistry._update(api._devices);
+        api._connected = true;
+        return api;
+    }
+
+    /**
+     * Exports the current session into a session storage.
+     * @param {MemorySessionStorage|FileSessionStorage|WebSessionStorage|Object} storage - Any object implementing async `getItem`/`setItem`/`removeItem`.
+     * @param {Object} [options] - Storage options.
+     * @param {string} [options.key='jdapi-session'] - The key the session is stored under.
+     * @param {string | null} [options.passphrase=null] - If set, the stored blob is encrypted with this passphrase.
+     * @returns {Promise<void>}
+     * @throws {MYJDConnectionException} If not connected.
+     */
+    async saveSession(storage, { key = "jdapi-session", passphrase = null } = {}) {
+        let blob = JSON.stringify(this.exportSession());
+        if (passphrase !== null) {
+            blob = await sessionSeal(blob, passphrase);
+        }
+        await storage.setItem(key, blob);
+    }
+
+    /**
+     * Resumes a session previously stored by {@link MyJDApi#saveSession}.
+     * @param {MemorySessionStorage|FileSessionStorage|WebSessionStorage|Object} storage - Any object implementing async `getItem`/`setItem`/`removeItem`.
+     * @param {Object} [options] - Storage options.
+     * @param {string} [options.key='jdapi-session'] - The key the session is stored under.
+     * @param {string | null} [options.passphrase=null] - The passphrase used when the session was saved.
+     * @returns {Promise<MyJDApi | null>} A promise that resolves to a connected client, or null if nothing is stored.
+     * @throws {MYJDDecodeException} If the stored session is encrypted and the passphrase is missing or wrong.
+     */
+    static async loadSession(storage, { key = "jdapi-session", passphrase = null } = {}) {
+        const blob = await storage.getItem(key);
+        if (blob === null || blob === undefined) {
+            return null;
+        }
+
+        let state;
+        try {
+            state = JSON.parse(blob);
+        } catch (e) {
+            throw new MYJDDecodeException("Failed to decode the stored session\n");
+        }
+        if (state["sealed"]) {
+            if (passphrase === null) {
+                throw new MYJDDecodeException("The stored session is encrypted, a passphrase is required\n");
+            }
+            state = JSON.parse(await sessionOpen(state, passphrase));
+        }
+        return MyJDApi.resumeSession(state);
+    }
+
     /**
      * Disconnects from the MyJDownloader API, invalidating the current session.
      * @returns {Promise<Object | boolean>} A promise that resolves to the API response object or true if using direct connection.
@@ -1757,9 +5136,157 @@ export class MyJDApi {
         this._deviceEncryptionToken = null;
         this._devices = null;
         this._connected = false;
+        this._email = null;
+        this._deviceRegistry.stop();
+        this._deviceRegistry._clear();
+        return response;
+    }
+
+    /**
+     * Fetches a captcha challenge, required to request a registration or password reset email.
+     * @returns {Promise<{captchaChallenge: string, image: string}>} A promise that resolves to the challenge ID
+     * and the captcha image (as a data URL).
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async getRegistrationCaptcha() {
+        const response = await this.requestApi("/captcha/getCaptcha", "GET", [], null, null, { secret: null });
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Requests the registration of a new MyJDownloader account. A validation key is sent to the given email.
+     * @param {string} email - The email of the new account.
+     * @param {string} captchaChallenge - The challenge ID returned by {@link MyJDApi#getRegistrationCaptcha}.
+     * @param {string} captchaResponse - The captcha solution.
+     * @param {string | null} [referer=null] - The registration referer, defaults to the application key.
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async requestRegistrationEmail(email, captchaChallenge, captchaResponse, referer = null) {
+        const response = await this.requestApi("/my/requestregistrationemail", "GET", [
+            ["email", email],
+            ["captchaResponse", captchaResponse],
+            ["captchaChallenge", captchaChallenge],
+            ["referer", referer === null ? this._appKey : referer]
+        ], null, null, { secret: null });
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Completes the registration of a new MyJDownloader account, setting its password.
+     * @param {string} email - The email of the new account.
+     * @param {string} password - The password of the new account.
+     * @param {string} validationKey - The validation key received by email (hexadecimal).
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDException} If the validation key is malformed.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async finishRegistration(email, password, validationKey) {
+        const key = secretToBuffer(validationKey);
+        const loginSecret = await this._secretCreate(email, password, "server");
+        const response = await this.requestApi("/my/finishregistration", "GET", [
+            ["email", email],
+            ["encryptedLoginSecret", await this._encryptLoginSecret(key, loginSecret)]
+        ], null, null, { secret: key });
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Requests a password reset. A validation key is sent to the account email.
+     * @param {string} email - The email of the account.
+     * @param {string} captchaChallenge - The challenge ID returned by {@link MyJDApi#getRegistrationCaptcha}.
+     * @param {string} captchaResponse - The captcha solution.
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async requestPasswordResetEmail(email, captchaChallenge, captchaResponse) {
+        const response = await this.requestApi("/my/requestpasswordresetemail", "GET", [
+            ["email", email],
+            ["captchaResponse", captchaResponse],
+            ["captchaChallenge", captchaChallenge]
+        ], null, null, { secret: null });
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Completes a password reset, setting the new password of the account.
+     * @param {string} email - The email of the account.
+     * @param {string} newPassword - The new password.
+     * @param {string} validationKey - The validation key received by email (hexadecimal).
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDException} If the validation key is malformed.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async finishPasswordReset(email, newPassword, validationKey) {
+        const key = secretToBuffer(validationKey);
+        const loginSecret = await this._secretCreate(email, newPassword, "server");
+        const response = await this.requestApi("/my/finishpasswordreset", "GET", [
+            ["email", email],
+            ["encryptedLoginSecret", await this._encryptLoginSecret(key, loginSecret)]
+        ], null, null, { secret: key });
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Requests a password change for the connected account. A validation key is sent to the account email.
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDConnectionException} If no MyJDownloader account is connected.
+     * @throws {MYJDApiException}
+     */
+    async requestPasswordChangeEmail() {
+        this._requireAccount();
+        const response = await this.requestApi("/my/requestpasswordchangeemail", "GET", [
+            ["email", this._email],
+            ["sessiontoken", this._sessionToken]
+        ]);
+        this.updateRequestId();
+        return response;
+    }
+
+    /**
+     * Changes the password of the connected account. The stored secrets are updated, so that a later
+     * session renewal logs in with the new password.
+     * @param {string} newPassword - The new password.
+     * @param {string} validationKey - The validation key received by email (hexadecimal).
+     * @returns {Promise<Object>} A promise that resolves to the API response object.
+     * @throws {MYJDException} If the validation key is malformed.
+     * @throws {MYJDConnectionException} If no MyJDownloader account is connected.
+     * @throws {MYJDApiException}
+     */
+    async changePassword(newPassword, validationKey) {
+        this._requireAccount();
+        const key = secretToBuffer(validationKey);
+        const loginSecret = await this._secretCreate(this._email, newPassword, "server");
+        const deviceSecret = await this._secretCreate(this._email, newPassword, "device");
+        const response = await this.requestApi("/my/changepassword", "GET", [
+            ["email", this._email],
+            ["sessiontoken", this._sessionToken],
+            ["encryptedLoginSecret", await this._encryptLoginSecret(key, loginSecret)]
+        ]);
+        this.updateRequestId();
+        this._loginSecret = loginSecret;
+        this._deviceSecret = deviceSecret;
         return response;
     }
 
+    /**
+     * Ensures that a MyJDownloader account is connected and that its email is known, as the account secrets
+     * are derived from it.
+     * @private
+     * @returns {void}
+     * @throws {MYJDConnectionException} If no MyJDownloader account is connected.
+     */
+    _requireAccount() {
+        if (!this.isConnected() || this._connectionType !== "myjd" || this._email === null) {
+            throw new MYJDConnectionException("No MyJDownloader account connected\n");
+        }
+    }
+
     /**
      * Fetches the current list of JDownloader devices connected to the account.
      * @returns {Promise<void>}
@@ -1772,6 +5299,15 @@ export class MyJDApi {
         ]);
         this.updateRequestId();
         this._devices = response["list"];
+        this._deviceRegistry._update(this._devices);
+    }
+
+    /**
+     * Returns the device registry, which caches the JDDevice instances and emits device presence events.
+     * @returns {DeviceRegistry} The device registry.
+     */
+    getDeviceRegistry() {
+        return this._deviceRegistry;
     }
 
     /**
@@ -1794,17 +5330,21 @@ export class MyJDApi {
         if (!this.isConnected()) {
             throw new MYJDConnectionException("No connection established\n");
         }
+        // Instances are cached by the registry, so their direct connection state is kept between calls
+        const registry = this._deviceRegistry;
+        // Not fetched yet right after the login
+        const devices = this._devices || [];
         if (deviceId !== null) {
-            for (const device of this._devices) {
-                if (device["id"] === deviceId) return new JDDevice(this, device);
+            for (const device of devices) {
+                if (device["id"] === deviceId) return registry._device(device);
             }
         } else if (deviceName !== null) {
-            for (const device of this._devices) {
-                if (device["name"] === deviceName) return new JDDevice(this, device);
+            for (const device of devices) {
+                if (device["name"] === deviceName) return registry._device(device);
             }
-        } else if (this._devices.length > 0) {
+        } else if (devices.length > 0) {
             // Return the first device if no identifier is provided
-            return new JDDevice(this, this._devices[0]);
+            return registry._device(devices[0]);
         }
         throw new MYJDDeviceNotFoundException("Device not found\n");
     }
@@ -1816,17 +5356,111 @@ export class MyJDApi {
      * @param {any[] | null} [params=null] - URL parameters for GET, or request parameters for POST.
      * @param {string | null} [action=null] - The action URL fragment for device-specific POST calls (e.g., '/t_<token>_<id>').
      * @param {string | null} [api=null] - Overrides the base API URL (used for direct connections).
-     * @returns {Promise<Object | null>} A promise that resolves to the decrypted and parsed JSON response object.
-     * @throws {MYJDConnectionException} On network failure or if not connected.
+     * @param {Object} [options={}] - Additional request options.
+     * @param {ArrayBuffer | null} [options.secret] - Overrides the key used to sign GET requests and decrypt their response.
+     * Null sends an unsigned request and expects a plain JSON response.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @param {number} [options.timeout] - Overrides the client timeout, in milliseconds.
+     * @param {number|Object|boolean} [options.retry] - Overrides the retry policy, see {@link ActionOptions}.
+     * @param {string} [options.deviceId] - ID of the target device, reported in exceptions.
+     * @returns {Promise<Object>} A promise that resolves to the decrypted and parsed JSON response object.
+     * @throws {MYJDNetworkException} On network failure (timeout, DNS failure, refused connection...).
+     * @throws {MYJDConnectionException} If not connected.
      * @throws {MYJDDecodeException} If the response cannot be decrypted or parsed.
-     * @throws {MYJDApiException} For API-specific errors (e.g., Auth Failed, Bad Parameters).
+     * @throws {MYJDRequestIdMismatchException} If the response does not answer this request.
+     * @throws {MYJDApiException} For API-specific errors (e.g., Auth Failed, Bad Parameters). Transient errors are
+     * retried first, according to the retry policy (see {@link MyJDApi#setRetryPolicy}), for idempotent requests or
+     * when `options.retry` is set.
+     */
+    async requestApi(path, httpMethod = "GET", params = null, action = null, api = null, options = {}) {
+        let policy = this._retryPolicy;
+        if (options.retry === false || (options.retry === undefined && !isIdempotentRequest(path))) {
+            policy = { ...policy, maxAttempts: 1 };
+        } else if (typeof options.retry === 'number') {
+            policy = { ...policy, maxAttempts: options.retry };
+        } else if (options.retry && typeof options.retry === 'object') {
+            policy = { ...policy, ...options.retry };
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            let error;
+            if (options.signal) {
+                options.signal.throwIfAborted();
+            }
+            await this._acquireRequestSlot(options.signal);
+            try {
+                const ctx = {
+                    method: httpMethod,
+                    path: path,
+                    params: params,
+                    route: api ? "direct" : (this._connectionType === "remoteapi" ? "remoteapi" : "cloud"),
+                    url: api || this._apiUrl,
+                    deviceId: options.deviceId ?? null,
+                    rid: this._nextRequestId(),
+                    attempt: attempt,
+                    duration: null,
+                    outcome: null,
+                    response: undefined,
+                    error: null
+                };
+                return await this._dispatch(ctx, action, api, options);
+            } catch (e) {
+                error = e;
+            } finally {
+                this._releaseRequestSlot();
+            }
+
+            const retryable = policy.retryOn.some(ExceptionClass => error instanceof ExceptionClass);
+            if (!retryable || attempt >= policy.maxAttempts) {
+                throw error;
+            }
+            const delay = this._retryDelay(policy, attempt);
+            if (policy.onRetry) {
+                policy.onRetry(error, attempt, delay);
+            }
+            await sleep(delay, options.signal);
+        }
+    }
+
+    /**
+     * Executes a single attempt of a raw API request, see {@link MyJDApi#requestApi}.
+     * @private
+     * @param {string} path - The API endpoint path.
+     * @param {string} httpMethod - 'GET' for core MyJD calls, 'POST' for device-specific actions.
+     * @param {any[] | null} params - URL parameters for GET, or request parameters for POST.
+     * @param {string | null} action - The action URL fragment for device-specific POST calls.
+     * @param {string | null} api - Overrides the base API URL.
+     * @param {Object} options - Additional request options.
+     * @param {number} rid - The request ID reserved for this attempt.
+     * @returns {Promise<Object>} A promise that resolves to the decrypted and parsed JSON response object.
      */
-    async requestApi(path, httpMethod = "GET", params = null, action = null, api = null) {
+    async _request(path, httpMethod, params, action, api, options, rid) {
+        const deviceRoute = !!api || this._connectionType === "remoteapi";
         if (!api) api = this._apiUrl;
         let data = null;
+        const timeout = options.timeout || this._timeout;
+        const details = {
+            path: path,
+            rid: rid,
+            deviceId: options.deviceId ?? null,
+            params: redactParams(path, params)
+        };
+        const networkError = (e) => {
+            const reason = networkFailureReason(e);
+            return new MYJDNetworkException(reason, `Request failed (${reason}): ${path}\n`, { ...details, cause: e });
+        };
+
+        // Key used to sign GET requests and decrypt their response: loginSecret initially, then serverEncryptionToken
+        let secret = this._serverEncryptionToken === null ? this._loginSecret : this._serverEncryptionToken;
+        if (options.secret !== undefined) {
+            secret = options.secret;
+        }
 
-        if (!this.isConnected() && path !== "/my/connect") {
-            throw new MYJDConnectionException("No connection established\n");
+        if (!this.isConnected() && !SESSIONLESS_PATHS.includes(path)) {
+            throw new MYJDConnectionException("No connection established\n", details);
+        }
+        if (deviceRoute && api.startsWith("http://") && !this._tlsPolicy.allowDowngrade) {
+            throw new MYJDConnectionException(`Plain HTTP refused by the TLS policy: ${path}\n`, details);
         }
 
         let encryptedResponse;
@@ -1844,10 +5478,10 @@ export class MyJDApi {
                     }
                 }
             }
-            query += "rid=" + this._requestId;
+            query += "rid=" + rid;
 
             // Cloud API calls require cryptographic signature
-            if (this._connectionType === "myjd") {
+            if (this._connectionType === "myjd" && secret !== null) {
                 let qList = [path + "?"];
                 if (params) {
                     for(const p of params) {
@@ -1855,21 +5489,14 @@ export class MyJDApi {
                         else qList.push(`&${p[0]}=${p[1]}`);
                     }
                 }
-                qList.push("rid=" + this._requestId);
+                qList.push("rid=" + rid);
 
                 let sigData = qList[0] + qList.slice(1).join('&');
-                let signature;
-
-                // Sign using loginSecret initially, then serverEncryptionToken
-                if (this._serverEncryptionToken === null) {
-                    signature = await this._signatureCreate(this._loginSecret, sigData);
-                } else {
-                    signature = await this._signatureCreate(this._serverEncryptionToken, sigData);
-                }
+                const signature = await this._signatureCreate(secret, sigData);
                 
                 query = sigData + "&signature=" + signature;
             } else {
-                 // Direct API calls (remoteapi) do not require signatures on GETs
+                 // Direct API calls (remoteapi) and session-less account calls do not require signatures on GETs
                  let qList = [path + "?"];
                  if (params) {
                     for(const p of params) {
@@ -1877,7 +5504,7 @@ export class MyJDApi {
                          else qList.push(`&${p[0]}=${p[1]}`);
                     }
                  }
-                 qList.push("rid=" + this._requestId);
+                 qList.push("rid=" + rid);
                  query = qList[0] + qList.slice(1).join('&');
             }
 
@@ -1885,13 +5512,14 @@ export class MyJDApi {
             
             try {
                 // Fetch with timeout
-                const res = await fetch(finalUrl, { method: 'GET', signal: AbortSignal.timeout(this._timeout) });
+                const res = await this._fetch(finalUrl, { method: 'GET', signal: requestSignal(options.signal, timeout) }, deviceRoute);
                 encryptedResponse = {
                     status: res.status,
                     text: await res.text()
                 };
             } catch (e) {
-                return null; 
+                if (options.signal && options.signal.aborted) throw options.signal.reason;
+                throw networkError(e);
             }
 
         } else {
@@ -1900,7 +5528,7 @@ export class MyJDApi {
                 "apiVer": this._apiVersion,
                 "url": path,
                 "params": this._adaptParamsForRequest(params),
-                "rid": this._requestId
+                "rid": rid
             };
             
             data = JSON.stringify(paramsRequest);
@@ -1921,18 +5549,19 @@ export class MyJDApi {
 
             try {
                 // Fetch with timeout and encrypted body
-                const res = await fetch(requestUrl, {
+                const res = await this._fetch(requestUrl, {
                     method: 'POST',
                     headers: { "Content-Type": this._contentType },
                     body: encryptedData,
-                    signal: AbortSignal.timeout(this._timeout)
-                });
+                    signal: requestSignal(options.signal, timeout)
+                }, deviceRoute);
                 encryptedResponse = {
                     status: res.status,
                     text: await res.text()
                 };
             } catch (e) {
-                return null;
+                if (options.signal && options.signal.aborted) throw options.signal.reason;
+                throw networkError(e);
             }
         }
 
@@ -1949,31 +5578,33 @@ export class MyJDApi {
                      errorMsg = JSON.parse(decrypted);
                 } catch (e2) {
                     // If all decoding attempts fail, throw decode exception
-                    throw new MYJDDecodeException(`Failed to decode response: ${encryptedResponse.text}`);
+                    throw new MYJDDecodeException(`Failed to decode error response (HTTP ${encryptedResponse.status}): ${path}\n`,
+                        { ...details, httpStatus: encryptedResponse.status, cause: e2 });
                 }
             }
             
-            // Construct detailed error message and throw specific exception
-            let msg = `\n\tSOURCE: ${errorMsg["src"]}\n\tTYPE: ${errorMsg["type"]}\n------\nREQUEST_URL: ${api}${path}`;
-            if (httpMethod === "GET") msg += ""; 
-            msg += "\n";
-            if (data !== null) msg += "DATA:\n" + data;
-            
-            throw MYJDApiException.getException(errorMsg["src"], errorMsg["type"], msg);
+            // Throw the specific exception, the request body is never part of it (secrets are redacted from details.params)
+            const msg = `${errorMsg["src"]} ${errorMsg["type"]} (HTTP ${encryptedResponse.status}): ${path}\n`;
+            throw MYJDApiException.getException(errorMsg["src"], errorMsg["type"], msg,
+                { ...details, httpStatus: encryptedResponse.status });
         }
 
         // Decrypt the successful response
         let response;
-        if (action === null) {
-            // General cloud response (GET)
-            if (!this._serverEncryptionToken) {
-                response = await this._decrypt(this._loginSecret, encryptedResponse.text);
+        try {
+            if (action === null) {
+                // General cloud response (GET), plain JSON for unsigned requests
+                if (secret === null) {
+                    response = encryptedResponse.text;
+                } else {
+                    response = await this._decrypt(secret, encryptedResponse.text);
+                }
             } else {
-                response = await this._decrypt(this._serverEncryptionToken, encryptedResponse.text);
+                // Device action response (POST)
+                response = await this._decrypt(this._deviceEncryptionToken, encryptedResponse.text);
             }
-        } else {
-            // Device action response (POST)
-            response = await this._decrypt(this._deviceEncryptionToken, encryptedResponse.text);
+        } catch (e) {
+            throw new MYJDDecodeException(`Failed to decrypt response: ${path}\n`, { ...details, httpStatus: 200, cause: e });
         }
 
         // Parse JSON response
@@ -1987,12 +5618,11 @@ export class MyJDApi {
 
         // Request ID validation
         if (jsondata && typeof jsondata === 'object' && 'rid' in jsondata) {
-            if (jsondata['rid'] !== this._requestId) {
-                this.updateRequestId();
-                return null;
+            if (jsondata['rid'] !== rid) {
+                throw new MYJDRequestIdMismatchException(`Request ID mismatch: sent ${rid}, received ${jsondata['rid']} (${path})\n`,
+                    { ...details, httpStatus: 200 });
             }
         }
-        this.updateRequestId();
         return jsondata;
     }
 
@@ -2038,5 +5668,387 @@ export class MyJDApi {
     }
 }
 
+/**
+ * @constant
+ * @type {string[]}
+ * @description Device registry events forwarded by {@link MyJDClient}.
+ */
+const DEVICE_EVENTS = ["deviceAdded", "deviceRemoved", "deviceOnline", "deviceOffline", "error"];
+
+/**
+ * @class
+ * @description Holds several independent connections, MyJDownloader accounts or remote API hosts, and exposes
+ * all their devices through a single lookup. Every connection is a {@link MyJDApi} instance of its own, so they
+ * never share tokens, API URL or connection type.
+ *
+ * The device registry events of every connection are forwarded (see {@link DeviceRegistry}), with the connection
+ * name as last argument: `client.on('deviceOffline', (device, connection) => ...)`.
+ */
+export class MyJDClient extends Emitter {
+    /**
+     * @constructor
+     */
+    constructor() {
+        super();
+        /** @type {Map<string, {api: MyJDApi, removers: Function[]}>} */
+        this._connections = new Map();
+    }
+
+    /**
+     * Connects a MyJDownloader account and adds it to the client.
+     * @param {string} name - The connection name, unique within the client.
+     * @param {string} email - The account email.
+     * @param {string} password - The account password.
+     * @returns {Promise<MyJDApi>} A promise that resolves to the connection.
+     * @throws {MYJDException} If the name is already in use.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async addAccount(name, email, password) {
+        this._checkName(name);
+        const api = new MyJDApi();
+        await api.connect(email, password);
+        return this.addConnection(name, api);
+    }
+
+    /**
+     * Connects a JDownloader client through its remote API (see {@link MyJDApi#directConnect}) and adds it to the client.
+     * @param {string} name - The connection name, unique within the client.
+     * @param {string} ip - The IP address of the JDownloader client.
+     * @param {number} [port=3128] - The port of the JDownloader client's API.
+     * @param {number} [timeout=3000] - The connection timeout in milliseconds.
+     * @param {TlsPolicy} [tls] - TLS policy fields to apply.
+     * @returns {Promise<MyJDApi>} A promise that resolves to the connection.
+     * @throws {MYJDException} If the name is already in use.
+     * @throws {MYJDConnectionException|MYJDApiException}
+     */
+    async addRemoteApi(name, ip, port = 3128, timeout = 3000, tls = {}) {
+        this._checkName(name);
+        const api = new MyJDApi();
+        await api.directConnect(ip, port, timeout, tls);
+        return this.addConnection(name, api);
+    }
+
+    /**
+     * Adds an already connected MyJDApi instance (e.g., from {@link MyJDApi.resumeSession}) to the client.
+     * A `deviceAdded` event is emitted for each of its known devices.
+     * @param {string} name - The connection name, unique within the client.
+     * @param {MyJDApi} api - The connection.
+     * @returns {MyJDApi} The connection.
+     * @throws {MYJDException} If the name is already in use.
+     */
+    addConnection(name, api) {
+        this._checkName(name);
+        const registry = api.getDeviceRegistry();
+        const removers = DEVICE_EVENTS.map(event => registry.on(event, (arg) => this._emit(event, arg, name)));
+        this._connections.set(name, { api: api, removers: removers });
+        // The devices listed while connecting are new to the client listeners
+        for (const device of registry.list()) {
+            this._emit("deviceAdded", device, name);
+        }
+        return api;
+    }
+
+    /**
+     * Removes a connection from the client.
+     * @param {string} name - The connection name.
+     * @param {Object} [options] - Removal options.
+     * @param {boolean} [options.disconnect=true] - Whether to also close the connection.
+     * @returns {Promise<void>}
+     * @throws {MYJDConnectionException|MYJDApiException} If the disconnection fails (the connection is removed anyway).
+     */
+    async removeConnection(name, { disconnect = true } = {}) {
+        const connection = this._connections.get(name);
+        if (connection === undefined) return;
+        this._connections.delete(name);
+        for (const remove of connection.removers) remove();
+        connection.api.getDeviceRegistry().stop();
+        if (disconnect && connection.api.isConnected()) {
+            await connection.api.disconnect();
+        }
+    }
+
+    /**
+     * Returns a connection by name.
+     * @param {string} name - The connection name.
+     * @returns {MyJDApi | null} The connection, or null if unknown.
+     */
+    getConnection(name) {
+        const connection = this._connections.get(name);
+        return connection !== undefined ? connection.api : null;
+    }
+
+    /**
+     * Returns the connection names, in the order they were added.
+     * @returns {string[]} The connection names.
+     */
+    listConnections() {
+        return [...this._connections.keys()];
+    }
+
+    /**
+     * Returns the name of the connection a device belongs to.
+     * @param {JDDevice} device - The device.
+     * @returns {string | null} The connection name, or null if the device does not belong to this client.
+     */
+    getConnectionName(device) {
+        for (const [name, connection] of this._connections) {
+            if (connection.api === device.myJD) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Refreshes the device lists of all the connections in parallel. A failing connection does not prevent the
+     * others from being refreshed, its failure is emitted as an `error` event.
+     * @returns {Promise<JDDevice[]>} A promise that resolves to the devices of all the connections.
+     */
+    async updateDevices() {
+        await Promise.all([...this._connections].map(async ([name, connection]) => {
+            try {
+                await connection.api.updateDevices();
+            } catch (e) {
+                this._emit("error", e, name);
+            }
+        }));
+        return this.listDevices();
+    }
+
+    /**
+     * Returns the devices of all the connections.
+     * @param {string} [connection=null] - Restricts the list to a single connection.
+     * @returns {JDDevice[]} The devices.
+     */
+    listDevices(connection = null) {
+        const devices = [];
+        for (const [name, entry] of this._connections) {
+            if (connection === null || connection === name) {
+                devices.push(...entry.api.getDeviceRegistry().list());
+            }
+        }
+        return devices;
+    }
+
+    /**
+     * Looks a device up by ID or name. Connections are searched in the order they were added.
+     * @param {string} idOrName - The device ID or name.
+     * @param {string} [connection=null] - Restricts the lookup to a single connection.
+     * @returns {JDDevice} The device.
+     * @throws {MYJDDeviceNotFoundException} If no connection knows the device.
+     */
+    getDevice(idOrName, connection = null) {
+        for (const [name, entry] of this._connections) {
+            if (connection !== null && connection !== name) continue;
+            const device = entry.api.getDeviceRegistry().get(idOrName);
+            if (device !== null) return device;
+        }
+        throw new MYJDDeviceNotFoundException("Device not found\n");
+    }
+
+    /**
+     * Refreshes the device lists of all the connections periodically (see {@link DeviceRegistry#start}).
+     * Remote API connections have a fixed device list and are skipped.
+     * @param {number} [interval=60000] - The refresh interval in milliseconds.
+     * @returns {void}
+     */
+    start(interval = 60000) {
+        for (const connection of this._connections.values()) {
+            if (connection.api.getConnectionType() !== "remoteapi") {
+                connection.api.getDeviceRegistry().start(interval);
+            }
+        }
+    }
+
+    /**
+     * Stops the periodic refresh of all the connections.
+     * @returns {void}
+     */
+    stop() {
+        for (const connection of this._connections.values()) {
+            connection.api.getDeviceRegistry().stop();
+        }
+    }
+
+    /**
+     * Disconnects and removes all the connections.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        for (const name of this.listConnections()) {
+            try {
+                await this.removeConnection(name);
+            } catch (e) {
+                // The connection is removed anyway, an expired session has nothing left to close
+            }
+        }
+    }
+
+    /**
+     * Throws if a connection name is already in use.
+     * @private
+     * @param {string} name - The connection name.
+     * @returns {void}
+     * @throws {MYJDException} If the name is already in use.
+     */
+    _checkName(name) {
+        if (this._connections.has(name)) {
+            throw new MYJDException(`Connection "${name}" already exists\n`);
+        }
+    }
+}
+
+/**
+ * @constant
+ * @type {Object<string, Object>}
+ * @description Link queries of {@link Fleet#search} per list: the default queries, with every field a search can match
+ * (the name is always returned).
+ */
+const SEARCH_LINK_QUERIES = {
+    downloads: { ...DOWNLOAD_LINK_QUERY, "host": true, "url": true },
+    linkgrabber: { ...CRAWLED_LINK_QUERY, "host": true, "url": true }
+};
+
+/**
+ * @typedef {Object} FleetResult
+ * @description Outcome of a fleet task on one device.
+ * @property {JDDevice} device - The device.
+ * @property {boolean} ok - Whether the task succeeded.
+ * @property {any} [value] - The task result, on success.
+ * @property {Error} [error] - The failure, otherwise.
+ */
+
+/**
+ * @typedef {Object} FleetOptions
+ * @property {(function(JDDevice): boolean | string[] | null)} [filter=null] - The devices to target: a predicate,
+ * or a list of device IDs and names. All the devices by default.
+ * @property {number} [concurrency=4] - How many devices are worked on at the same time.
+ * @property {AbortSignal} [signal] - Stops starting new tasks once aborted, the remaining devices fail with its reason.
+ */
+
+/**
+ * @class
+ * @description Runs tasks across many devices with bounded concurrency, reporting per-device success or failure.
+ * The devices come from a {@link MyJDClient}, a {@link MyJDApi} (its {@link DeviceRegistry}) or a fixed array.
+ * @example
+ * const fleet = new Fleet(client);
+ * const results = await fleet.run('downloadcontroller', 'pauseDownloads', [true]);
+ * const { matches } = await fleet.search({ url: 'example.com/file.zip' });
+ */
+export class Fleet {
+    /**
+     * @constructor
+     * @param {MyJDClient | MyJDApi | JDDevice[]} source - Where the devices come from, read on every task.
+     */
+    constructor(source) {
+        /** @type {MyJDClient | MyJDApi | JDDevice[]} */
+        this.source = source;
+    }
+
+    /**
+     * Returns the targeted devices.
+     * @param {FleetOptions['filter']} [filter=null] - The devices to target.
+     * @returns {JDDevice[]} The devices.
+     */
+    devices(filter = null) {
+        let devices;
+        if (Array.isArray(this.source)) {
+            devices = [...this.source];
+        } else if (this.source instanceof MyJDApi) {
+            devices = this.source.getDeviceRegistry().list();
+        } else {
+            devices = this.source.listDevices();
+        }
+        if (Array.isArray(filter)) {
+            return devices.filter(device => filter.includes(device.deviceId) || filter.includes(device.name));
+        }
+        return typeof filter === "function" ? devices.filter(filter) : devices;
+    }
+
+    /**
+     * Runs a task on every targeted device. A failing device does not stop the others.
+     * @param {function(JDDevice): Promise<any>} task - The task, called once per device.
+     * @param {FleetOptions} [options] - Targeting and concurrency options.
+     * @returns {Promise<FleetResult[]>} A promise that resolves to the results, in device order.
+     */
+    async each(task, { filter = null, concurrency = 4, signal } = {}) {
+        const devices = this.devices(filter);
+        const results = new Array(devices.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < devices.length) {
+                const index = next++;
+                const device = devices[index];
+                try {
+                    if (signal) signal.throwIfAborted();
+                    results[index] = { device: device, ok: true, value: await task(device) };
+                } catch (e) {
+                    results[index] = { device: device, ok: false, error: e };
+                }
+            }
+        };
+        const workers = Math.max(1, Math.min(concurrency, devices.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        return results;
+    }
+
+    /**
+     * Calls a controller method on every targeted device.
+     * @param {string} controller - The controller property of the devices (e.g., 'downloadcontroller').
+     * @param {string} method - The method name (e.g., 'pauseDownloads').
+     * @param {any[]} [args=[]] - The method arguments.
+     * @param {FleetOptions} [options] - Targeting and concurrency options.
+     * @returns {Promise<FleetResult[]>} A promise that resolves to the results, in device order.
+     */
+    async run(controller, method, args = [], options = {}) {
+        return await this.each(async (device) => {
+            const target = device[controller];
+            if (!target || typeof target[method] !== "function") {
+                throw new TypeError(`Unknown controller method: ${controller}.${method}`);
+            }
+            return await target[method](...args);
+        }, options);
+    }
+
+    /**
+     * Searches the download and Linkgrabber lists of the targeted devices. Every criterion given must match;
+     * strings match case-insensitively anywhere in the field.
+     * @param {Object} query - The search criteria.
+     * @param {(string | RegExp)} [query.name] - Matches the link name.
+     * @param {(string | RegExp)} [query.url] - Matches the link URL.
+     * @param {(string | RegExp)} [query.host] - Matches the link host.
+     * @param {FleetOptions & {lists: string[], action: ActionOptions}} [options] - Targeting and concurrency options,
+     * plus `lists`, the lists to search (`['downloads', 'linkgrabber']` by default), and `action`, per-call options
+     * of the queries.
+     * @returns {Promise<{matches: {device: JDDevice, list: string, link: Object}[], failures: FleetResult[]}>}
+     * A promise that resolves to the matching links and to the devices that could not be searched.
+     */
+    async search(query, { lists = ["downloads", "linkgrabber"], action = {}, ...options } = {}) {
+        const criteria = Object.entries(query)
+            .filter(([, value]) => value !== undefined && value !== null)
+            // Global and sticky patterns keep a lastIndex between tests, which would skip matches
+            .map(([field, value]) => [field, value instanceof RegExp ? new RegExp(value.source, value.flags.replace(/[gy]/g, "")) : value]);
+        const matches = (link) => criteria.every(([field, value]) => {
+            const text = link[field] === undefined || link[field] === null ? "" : String(link[field]);
+            return value instanceof RegExp ? value.test(text) : text.toLowerCase().includes(String(value).toLowerCase());
+        });
+
+        const results = await this.each(async (device) => {
+            const found = [];
+            for (const list of lists) {
+                const links = await device[list].queryLinks([{ ...SEARCH_LINK_QUERIES[list] }], action);
+                for (const link of links || []) {
+                    if (matches(link)) found.push({ device: device, list: list, link: link });
+                }
+            }
+            return found;
+        }, options);
+
+        return {
+            matches: results.filter(r => r.ok).flatMap(r => r.value),
+            failures: results.filter(r => !r.ok)
+        };
+    }
+}
+
 // Expose class globally for non-module environments (browser)
 if (typeof window !== 'undefined') window.MyJDApi = MyJDApi;
\ No newline at end of file